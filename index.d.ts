@@ -1,19 +1,175 @@
 import { EventEmitter } from "events";
 import { Database } from "sqlite3";
+import { Readable, Writable } from "stream";
 
 interface Task<T> {
   id: number;
   job: T;
+  attempts?: number;
+  lastError?: string | null;
+  errors?: JobError[];
+  priority?: number;
+  key?: string | null;
+  createdAt?: number | null;
+  runAt?: number;
+  expireAt?: number | null;
+  timeout?: number | null;
+  lastProgress?: unknown;
+  progress?: (value: unknown) => Promise<void>;
+  done?: (result?: unknown) => Promise<void>;
+  fail?: (err?: Error | string) => Promise<void>;
+  abort?: () => Promise<void>;
+}
+
+interface Timing {
+  id: number;
+  startedAt: number | null;
+  duration: number | null;
+}
+
+interface JobError {
+  attempt: number;
+  error: string | null;
+  at: number;
+}
+
+interface DeadJob<T> {
+  id: number;
+  job: T;
+  attempts: number;
+  errors: JobError[];
+  failedAt: number;
+  priority: number;
+}
+
+interface CompletedJob<T> {
+  id: number;
+  job: T;
+  result: unknown;
+  attempts: number;
+  priority: number;
+  createdAt: number | null;
+  startedAt: number | null;
+  finishedAt: number;
+  duration: number | null;
+}
+
+interface QuarantinedJob {
+  id: number;
+  data: string | Buffer;
+  error: string;
+  quarantinedAt: number;
+}
+
+interface QueueError extends Error {
+  operation: string;
+  jobId?: number;
+  jobIds?: number[];
+}
+
+interface Retention {
+  maxAge?: number;
+  maxCount?: number;
+}
+
+interface Backoff {
+  delay?: number;
+  factor?: number;
+  maxDelay?: number;
+  jitter?: number;
+}
+
+interface AddOptions {
+  delay?: number;
+  runAt?: Date | number;
+  priority?: number;
+  key?: string;
+  onDuplicate?: 'reject' | 'ignore' | 'replace';
+  timeout?: number;
+  ttl?: number;
+  expireAt?: Date | number;
+  attempts?: number;
+  errors?: JobError[];
+}
+
+interface Serializer {
+  encode(job: any): string | Buffer;
+  decode(data: string | Buffer): any;
+}
+
+interface Stats {
+  pending: number;
+  inFlight: number;
+  completed: number;
+  failed: number;
+  dead: number;
+  throughput: number;
+  averageWait: number | null;
+  averageProcessing: number | null;
+  oldestPendingAge: number | null;
+}
+
+interface RateLimit {
+  max: number;
+  interval: number;
+  key?: (task: Task<any>) => string;
+}
+
+interface Options {
+  batchSize?: number;
+  concurrency?: number;
+  nextBatch?: number;
+  name?: string;
+  leaseTimeout?: number;
+  pollInterval?: number;
+  backoff?: Backoff;
+  maxRetries?: number;
+  serializer?: "json" | "v8" | Serializer;
+  keepCompleted?: boolean | Retention;
+  quarantine?: boolean;
+  rateLimit?: RateLimit;
+  timeout?: number;
+  maxLength?: number;
+  overflow?: "reject" | "wait" | "dropOldest";
 }
 
 export default class PersistentQueue<T> extends EventEmitter {
-  constructor(filename: string, batchSize?: number);
+  constructor(filename: string, options?: Options);
+  constructor(filename: string, batchSize?: number, options?: Options);
+
+  static listQueues(filename: string): Promise<string[]>;
+  static serializers: { json: Serializer; v8: Serializer };
 
   debug: boolean;
   empty: boolean | undefined;
   dbPath: string;
+  name: string;
+  table: string;
+  tableCount: string;
+  tableDead: string;
+  tableCompleted: string;
+  tableQuarantine: string;
   batchSize: number;
+  concurrency: number;
+  nextBatch: number | undefined;
+  batches: Set<Set<number>>;
   queue: Task<T>[];
+  active: Map<number, Task<T>>;
+  finishing: Set<number>;
+  startedAt: Map<number, number>;
+  processor: ((task: Task<T>) => void) | null;
+  timer: NodeJS.Timeout | null;
+  leaseTimeout: number | undefined;
+  pollInterval: number;
+  consumerId: string;
+  leaseTimer: NodeJS.Timeout | null;
+  backoff: Required<Backoff>;
+  maxRetries: number;
+  keepCompleted: Required<Retention> | false;
+  serializer: Serializer;
+  quarantine: boolean;
+  transactions: Promise<void>;
+  hydrating: boolean;
   length: number | null;
   db: Database;
   opened: boolean;
@@ -26,17 +182,45 @@ export default class PersistentQueue<T> extends EventEmitter {
   on(event: "trigger_next", listener: () => void): this;
   on(event: "empty", listener: () => void): this;
   on(event: "add", listener: (task: Task<T>) => void): this;
+  on(event: "addMany", listener: (tasks: Task<T>[]) => void): this;
   on(event: "delete", listener: (info: { id: number }) => void): this;
+  on(event: "deleteMany", listener: (info: { ids: number[] }) => void): this;
   on(event: "next", listener: (task: Task<T>) => void): this;
+  on(event: "nextBatch", listener: (tasks: Task<T>[]) => void): this;
+  on(event: "active", listener: (info: { id: number; job: T; startedAt: number }) => void): this;
+  on(event: "progress", listener: (info: Timing & { job: T; progress: unknown; at: number }) => void): this;
+  on(event: "completed", listener: (info: Timing & { job: T; result: unknown; finishedAt: number }) => void): this;
+  on(event: "failed", listener: (info: Timing & { job: T; error: string | null; attempts: number; failedAt: number; retryAt: number | null }) => void): this;
+  on(event: "full" | "drained", listener: (info: { length: number; maxLength: number }) => void): this;
+  on(event: "expired", listener: (info: { id: number; job: T; expireAt: number; expiredAt: number }) => void): this;
+  on(event: "timeout", listener: (info: Timing & { job: T; timeout: number; timedOutAt: number }) => void): this;
+  on(event: "stalled", listener: (info: { id: number; job: T; startedAt: number; detectedAt: number }) => void): this;
+  on(event: "error", listener: (err: QueueError) => void): this;
+  on(event: "quarantined", listener: (info: { id: number; error: Error; quarantinedAt: number }) => void): this;
+  on(event: "dead", listener: (task: Omit<DeadJob<T>, "failedAt">) => void): this;
 
   open(): Promise<void>;
-  close(): Promise<void>;
+  close(options?: { wait?: boolean; timeout?: number }): Promise<void>;
   getLength(): number;
+  getStats(): Promise<Stats>;
+  getMetrics(): Promise<string>;
   start(): void;
   stop(): void;
-  done(): void;
-  abort(): void;
-  add(job: T): Promise<number>;
+  drain(options?: { timeout?: number }): Promise<void>;
+  done(id?: number, result?: unknown): Promise<void>;
+  progress(id: number, value: unknown): Promise<void>;
+  getProgress(id: number): Promise<unknown>;
+  doneMany(ids: number[]): Promise<void>;
+  abort(id?: number): Promise<void>;
+  fail(id?: number, err?: Error | string): Promise<void>;
+  fail(err?: Error | string): Promise<void>;
+  process(handler: (task: Task<T>) => unknown): this;
+  process(handler: (tasks: Task<T>[]) => unknown): this;
+  [Symbol.asyncIterator](): AsyncIterator<Task<T>>;
+  createWriteStream(options?: AddOptions): Writable;
+  createReadStream(options?: { highWaterMark?: number }): Readable;
+  add(job: T, options?: AddOptions): Promise<number>;
+  addMany(jobs: T[], options?: Omit<AddOptions, "key" | "onDuplicate">): Promise<number[]>;
   setDebug(debug: boolean): this;
   isEmpty(): boolean;
   isStarted(): boolean;
@@ -46,4 +230,16 @@ export default class PersistentQueue<T> extends EventEmitter {
   getJobIds(job: object): Promise<number[]>;
   getFirstJobId(job: object): Promise<number | null>;
   delete(id: number): Promise<number>;
+  purge(): Promise<number[]>;
+  deleteWhere(filter: (task: Task<T>) => boolean): Promise<number[]>;
+  getJobs(options?: { limit?: number; offset?: number }): Promise<Task<T>[]>;
+  getJob(id: number): Promise<Task<T> | null>;
+  getDeadJobs(options?: { limit?: number; offset?: number }): Promise<DeadJob<T>[]>;
+  getDeadJob(id: number): Promise<DeadJob<T> | null>;
+  requeueDeadJob(id: number, options?: { keepId?: boolean }): Promise<number>;
+  purgeDeadJobs(ids?: number[]): Promise<number>;
+  getCompletedJobs(options?: { limit?: number; offset?: number }): Promise<CompletedJob<T>[]>;
+  getCompletedJob(id: number): Promise<CompletedJob<T> | null>;
+  pruneCompletedJobs(retention?: Retention): Promise<number>;
+  getQuarantinedJobs(options?: { limit?: number; offset?: number }): Promise<QuarantinedJob[]>;
 }
@@ -27,36 +27,266 @@
  * @typdef {Object} PersistentQueue~Job
  * @property {number} id A sequenced identifier for the job
  * @property {Object} job An object containing arbitrary data for the job
+ * @property {number} [attempts] How many times the job has previously failed
+ * @property {string|null} [lastError] The error message from the most recent failure
+ * @property {PersistentQueue~JobError[]} [errors] The history of failures for the job
+ * @property {number} [priority] Jobs with a higher priority run before those with a lower priority
+ * @property {string|null} [key] Deduplication key the job was added with
+ * @property {number|null} [createdAt] When the job was added (milliseconds since the epoch)
+ * @property {number} [runAt] When the job is due (milliseconds since the epoch), or 0 if it was due as soon as it
+ * was added
+ * @property {number|null} [expireAt] When the job expires, and is deleted rather than run
+ * @property {*} [lastProgress] The latest progress reported for the job, by an earlier attempt if it's not in progress
+ * @property {number|null} [timeout] Milliseconds the job may be in progress before it fails, if it was added with
+ * its own timeout
+ * @property {function(*): Promise} [progress] While the job is in progress, reports its progress (see
+ * PersistentQueue#progress)
+ * @property {function(*=): Promise} [done] Finishes this attempt at the job (see PersistentQueue#done).  Rejects
+ * once the attempt is no longer in progress, say because it timed out, rather than finishing a later attempt
+ * @property {function(*=): Promise} [fail] Fails this attempt at the job (see PersistentQueue#fail), or rejects
+ * like done
+ * @property {function(): Promise} [abort] Aborts this attempt at the job (see PersistentQueue#abort), or rejects
+ * like done
+ */
+
+/**
+ * @typedef {Object} PersistentQueue~JobError
+ * @property {number} attempt Which attempt of the job failed (starting at 1)
+ * @property {string|null} error The error message
+ * @property {number} at When the attempt failed (milliseconds since the epoch)
+ */
+
+/**
+ * @typedef {Object} PersistentQueue~DeadJob
+ * @property {number} id The id the job had in the queue
+ * @property {Object} job An object containing arbitrary data for the job
+ * @property {number} attempts How many times the job failed
+ * @property {PersistentQueue~JobError[]} errors The history of failures for the job
+ * @property {number} failedAt When the job was dead-lettered (milliseconds since the epoch)
+ * @property {number} priority The priority the job had in the queue
+ */
+
+/**
+ * @typedef {Object} PersistentQueue~Backoff
+ * @property {number} [delay=1000] Milliseconds to wait before the first retry of a failed job
+ * @property {number} [factor=2] Multiplier applied to the delay for each subsequent retry
+ * @property {number} [maxDelay=3600000] Upper limit in milliseconds for the delay between retries
+ * @property {number} [jitter=0.1] Fraction (0 to 1) of the delay to randomly add or subtract
+ */
+
+/**
+ * @typedef {Object} PersistentQueue~Options
+ * @property {number} [batchSize=10] The number of rows from queue db to retrieve at a time
+ * @property {number} [concurrency=1] The maximum number of jobs in progress at a time
+ * @property {number} [nextBatch] Emit up to this many jobs at a time in a 'nextBatch' event, instead of one at a
+ * time in a 'next' event.  Each batch in progress then takes one concurrency slot
+ * @property {string} [name=queue] Name of the queue, so that several queues can share one sqlite db
+ * @property {number} [leaseTimeout] Milliseconds a consumer holds the jobs it claims.  Set this to share the
+ * queue between processes, so each job is claimed by only one of them
+ * @property {number} [pollInterval=1000] Milliseconds between checks for jobs added by other processes, when
+ * leaseTimeout is set
+ * @property {PersistentQueue~Backoff} [backoff] How long to wait before retrying a failed job
+ * @property {number} [maxRetries=Infinity] How many times a failed job is retried before it is moved to the
+ * dead-letter table
+ * @property {boolean|PersistentQueue~Retention} [keepCompleted=false] Record finished jobs in a history table
+ * instead of deleting them, optionally only keeping them for a while
+ * @property {boolean} [quarantine=false] Move jobs that can't be decoded into a quarantine table, rather than
+ * stopping with an 'error' event
+ * @property {string|PersistentQueue~Serializer} [serializer=json] How jobs are stored in the sqlite db.  Either
+ * the name of one of PersistentQueue.serializers, or an object with encode and decode functions
+ * @property {PersistentQueue~RateLimit} [rateLimit] Limit how fast jobs are started
+ * @property {number} [timeout] Milliseconds a job may be in progress before it fails with a 'timeout' event,
+ * unless it was added with its own timeout
+ * @property {number} [maxLength] The most jobs the queue may hold (including those in progress)
+ * @property {string} [overflow=reject] What add() and addMany() do when the queue would hold more than maxLength
+ * jobs: 'reject' the add, 'wait' until there is room, or 'dropOldest' to delete the oldest waiting jobs to make room
+ */
+
+/**
+ * @typedef {Object} PersistentQueue~Retention
+ * @property {number} [maxAge=Infinity] Milliseconds to keep a completed job after it finished
+ * @property {number} [maxCount=Infinity] The maximum number of completed jobs to keep (the most recent are kept)
+ */
+
+/**
+ * @typedef {Object} PersistentQueue~CompletedJob
+ * @property {number} id The id the job had in the queue
+ * @property {Object} job An object containing arbitrary data for the job
+ * @property {*} result The result passed to done(), or undefined
+ * @property {number} attempts How many times the job failed before it succeeded
+ * @property {number} priority The priority the job had in the queue
+ * @property {number|null} createdAt When the job was added (milliseconds since the epoch)
+ * @property {number|null} startedAt When the job was last started
+ * @property {number} finishedAt When the job finished
+ * @property {number|null} duration Milliseconds from when the job was started until it finished
+ */
+
+/**
+ * @typedef {Object} PersistentQueue~Serializer
+ * @property {function(Object): (string|Buffer)} encode Convert a job to be stored in the sqlite db
+ * @property {function((string|Buffer)): Object} decode Convert a stored job back again
+ */
+
+/**
+ * @typedef {Object} PersistentQueue~Stats
+ * @property {number} pending Jobs waiting in the queue, including those delayed until later
+ * @property {number} inFlight Jobs in progress in this process
+ * @property {number} completed Jobs completed since the queue was opened
+ * @property {number} failed Failed attempts at jobs since the queue was opened
+ * @property {number} dead Jobs in the dead-letter table
+ * @property {number} throughput Jobs completed per second since the queue was opened
+ * @property {number|null} averageWait Average milliseconds from when a job was added until it was started
+ * @property {number|null} averageProcessing Average milliseconds from when a job was started until it finished
+ * @property {number|null} oldestPendingAge Milliseconds since the oldest job waiting in the queue was added
+ */
+
+/**
+ * @typedef {Object} PersistentQueue~RateLimit
+ * @property {number} max How many jobs may be started each interval, and so how many may be started in a burst
+ * @property {number} interval Milliseconds over which max jobs may be started
+ * @property {function(PersistentQueue~Job): string} [key] Gives each job's rate limit key, so that jobs with
+ * different keys are limited separately.  By default, every job shares one limit
  */
 
 var EventEmitter = require('events').EventEmitter ;
+var crypto = require('crypto') ;
+var stream = require('stream') ;
+var v8 = require('v8') ;
 var sqlite3 = require('sqlite3').verbose() ;
 
 /**
- * Default queue table name for the sqlite db
+ * Default queue name, which is also the name of its table in the sqlite db
  * @type {string}
  * @const
  * @default
  */
-let table = 'queue' ;
+const defaultName = 'queue' ;
 
 /**
- * Default counter table name for the sqlite db
- * @type {string}
+ * Milliseconds after jobs are started that their start is recorded in the db, so jobs finished sooner than
+ * that cost no extra write
+ * @type {number}
  * @const
  * @default
  */
-let table_count = 'queue_count' ;
+const recordStartsDelay = 1000 ;
+
+/**
+ * Suffixes added to the queue name for the names of its other tables, and its indexes and triggers, in the
+ * sqlite db.  A queue can't have a name ending in one of them, or its objects could clash with another queue's
+ * @type {string[]}
+ * @const
+ */
+const suffixes = ['_count', '_dead', '_completed', '_quarantine', '_limit', '_insert', '_delete', '_priority', '_key', '_completed_finished'] ;
+
+/**
+ * Columns of the queue table after id and job.  Queue dbs created by earlier versions are upgraded
+ * to include any that are missing when opened
+ * @type {Array<Array<string>>}
+ * @const
+ */
+const columns = [
+	['attempts', 'INTEGER NOT NULL DEFAULT 0'],
+	['last_error', 'TEXT'],
+	['errors', 'TEXT'],
+	['run_at', 'INTEGER NOT NULL DEFAULT 0'],
+	['priority', 'INTEGER NOT NULL DEFAULT 0'],
+	['lease_owner', 'TEXT'],
+	['lease_expires', 'INTEGER'],
+	['dedup_key', 'TEXT'],
+	['created_at', 'INTEGER'],
+	['started_at', 'INTEGER'],
+	['progress', 'TEXT'],
+	['timeout', 'INTEGER'],
+	['expire_at', 'INTEGER']
+] ;
+
+/**
+ * Columns of the dead-letter table after id, upgraded in the same way as the queue table
+ * @type {Array<Array<string>>}
+ * @const
+ */
+const deadColumns = [
+	['job', 'TEXT'],
+	['attempts', 'INTEGER'],
+	['errors', 'TEXT'],
+	['failed_at', 'INTEGER'],
+	['priority', 'INTEGER NOT NULL DEFAULT 0']
+] ;
+
+/**
+ * Columns of the completed job history table after id, upgraded in the same way as the queue table
+ * @type {Array<Array<string>>}
+ * @const
+ */
+const completedColumns = [
+	['job', 'TEXT'],
+	['result', 'TEXT'],
+	['attempts', 'INTEGER'],
+	['priority', 'INTEGER'],
+	['created_at', 'INTEGER'],
+	['started_at', 'INTEGER'],
+	['finished_at', 'INTEGER'],
+	['duration', 'INTEGER']
+] ;
+
+/**
+ * Columns of the quarantine table after id, upgraded in the same way as the queue table
+ * @type {Array<Array<string>>}
+ * @const
+ */
+const quarantineColumns = [
+	['job', 'TEXT'],
+	['error', 'TEXT'],
+	['quarantined_at', 'INTEGER']
+] ;
+
+/**
+ * Metrics rendered by getMetrics(), as the name (after the persistent_queue_ prefix), type, help text, the
+ * stat it is taken from, and what to multiply the stat by (to convert milliseconds to seconds)
+ * @type {Array<Array>}
+ * @const
+ */
+const metrics = [
+	['pending', 'gauge', 'Jobs waiting in the queue', 'pending', 1],
+	['in_flight', 'gauge', 'Jobs in progress', 'inFlight', 1],
+	['completed_total', 'counter', 'Jobs completed since the queue was opened', 'completed', 1],
+	['failed_total', 'counter', 'Failed attempts at jobs since the queue was opened', 'failed', 1],
+	['dead', 'gauge', 'Jobs in the dead-letter table', 'dead', 1],
+	['throughput', 'gauge', 'Jobs completed per second since the queue was opened', 'throughput', 1],
+	['wait_seconds_average', 'gauge', 'Average time from when a job was added until it was started', 'averageWait', 0.001],
+	['processing_seconds_average', 'gauge', 'Average time from when a job was started until it finished', 'averageProcessing', 0.001],
+	['oldest_pending_age_seconds', 'gauge', 'Time since the oldest job waiting in the queue was added', 'oldestPendingAge', 0.001]
+] ;
+
+/**
+ * Built-in serializers for storing jobs.  json stores text, and v8 stores a blob in the structured clone
+ * format, which round-trips Dates, Buffers, Maps, Sets and BigInts
+ * @type {Object<string, PersistentQueue~Serializer>}
+ * @const
+ */
+const serializers = {
+	json: {
+		encode: job => JSON.stringify(job),
+		decode: data => JSON.parse(data)
+	},
+	v8: {
+		encode: job => v8.serialize(job),
+		decode: data => v8.deserialize(data)
+	}
+} ;
 
 /**
  * Simple SQLite backed Queue for running many short tasks in Node.js
  *
  * @author Damien Clark <damo.clarky@gmail.com>
  * @param {string} [filename=:memory:] Path to sqlite db for queue db
- * @param {number} [batchSize=10] The number of rows from queue db to retrieve at a time
+ * @param {number|PersistentQueue~Options} [batchSize=10] The number of rows from queue db to retrieve at a time
+ * (or an options object)
+ * @param {PersistentQueue~Options} [options] Additional options for the queue
  * @constructor
  */
-function PersistentQueue(filename, batchSize) {
+function PersistentQueue(filename, batchSize, options) {
 	// Call super-constructor
 	EventEmitter.call(this) ;
 
@@ -64,6 +294,13 @@ function PersistentQueue(filename, batchSize) {
 	if(filename === undefined)
 		throw new Error('No filename parameter provided') ;
 
+	// Allow the options object to be given in place of batchSize
+	if(batchSize !== null && typeof batchSize === 'object') {
+		options = batchSize ;
+		batchSize = options.batchSize ;
+	}
+	options = options || {} ;
+
 	/**
 	 * Set to true to enable debugging mode
 	 * @type {boolean}
@@ -85,12 +322,252 @@ function PersistentQueue(filename, batchSize) {
 	 */
 	this.dbPath = (filename === '') ? ':memory:' : filename ;
 
+	/**
+	 * Name of the queue, used to name its tables and triggers in the sqlite db
+	 * @type {string}
+	 * @access private
+	 */
+	this.name = (options.name === undefined) ? defaultName : options.name ;
+	if(typeof this.name !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(this.name)
+		|| suffixes.some(suffix => this.name.endsWith(suffix)))
+		throw new Error('Invalid name option.  Must be letters, digits and underscores, and not end in '+suffixes.join(', ')) ;
+
+	/**
+	 * Queue table name for the sqlite db
+	 * @type {string}
+	 * @access private
+	 */
+	this.table = this.name ;
+
+	/**
+	 * Counter table name for the sqlite db
+	 * @type {string}
+	 * @access private
+	 */
+	this.tableCount = this.name + '_count' ;
+
+	/**
+	 * Dead-letter table name for the sqlite db
+	 * @type {string}
+	 * @access private
+	 */
+	this.tableDead = this.name + '_dead' ;
+
+	/**
+	 * Completed job history table name for the sqlite db
+	 * @type {string}
+	 * @access private
+	 */
+	this.tableCompleted = this.name + '_completed' ;
+
+	/**
+	 * Quarantine table name for the sqlite db
+	 * @type {string}
+	 * @access private
+	 */
+	this.tableQuarantine = this.name + '_quarantine' ;
+
+	/**
+	 * Rate limiter state table name for the sqlite db
+	 * @type {string}
+	 * @access private
+	 */
+	this.tableLimit = this.name + '_limit' ;
+
+	/**
+	 * How many jobs to emit at a time in a 'nextBatch' event, or undefined to emit them one at a time
+	 * @type {number|undefined}
+	 * @access private
+	 */
+	this.nextBatch = options.nextBatch ;
+	if(this.nextBatch !== undefined && (!Number.isInteger(this.nextBatch) || this.nextBatch < 1))
+		throw new Error('Invalid nextBatch option.  Must be an integer > 0') ;
+
 	/**
 	 * How many objects to retrieve from DB into queue array at a time
 	 */
-	this.batchSize = (batchSize === undefined) ? 10 : batchSize ;
+	this.batchSize = (batchSize === undefined) ? Math.max(10, this.nextBatch || 0) : batchSize ;
 	if(typeof this.batchSize !== 'number' || this.batchSize < 1)
 		throw new Error('Invalid batchSize parameter.  Must be a number > 0') ;
+	// A batch can only be made up of jobs already loaded from the db
+	if(this.nextBatch > this.batchSize)
+		throw new Error('Invalid nextBatch option.  Must not be larger than batchSize') ;
+
+	/**
+	 * How many jobs may be in progress (emitted via 'next' but not yet done) at a time
+	 * @type {number}
+	 * @access private
+	 */
+	this.concurrency = (options.concurrency === undefined) ? 1 : options.concurrency ;
+	if(typeof this.concurrency !== 'number' || this.concurrency < 1)
+		throw new Error('Invalid concurrency option.  Must be a number > 0') ;
+
+	/**
+	 * Settings for the exponential backoff between retries of a failed job
+	 * @type {PersistentQueue~Backoff}
+	 * @access private
+	 */
+	this.backoff = Object.assign({ delay: 1000, factor: 2, maxDelay: 3600000, jitter: 0.1 }, options.backoff) ;
+	if(['delay', 'factor', 'maxDelay', 'jitter'].some(k => typeof this.backoff[k] !== 'number' || this.backoff[k] < 0)
+		|| this.backoff.factor < 1 || this.backoff.jitter > 1)
+		throw new Error('Invalid backoff option.  Must have delay >= 0, factor >= 1, maxDelay >= 0 and 0 <= jitter <= 1') ;
+
+	/**
+	 * Milliseconds a consumer holds the jobs it claims, or undefined if the queue isn't shared between processes
+	 * @type {number|undefined}
+	 * @access private
+	 */
+	this.leaseTimeout = options.leaseTimeout ;
+	if(this.leaseTimeout !== undefined && (typeof this.leaseTimeout !== 'number' || this.leaseTimeout < 1))
+		throw new Error('Invalid leaseTimeout option.  Must be a number > 0') ;
+
+	/**
+	 * Milliseconds between checks for jobs added by other processes
+	 * @type {number}
+	 * @access private
+	 */
+	this.pollInterval = (options.pollInterval === undefined) ? 1000 : options.pollInterval ;
+	if(typeof this.pollInterval !== 'number' || this.pollInterval < 1)
+		throw new Error('Invalid pollInterval option.  Must be a number > 0') ;
+
+	/**
+	 * Identifies the leases held by this consumer
+	 * @type {string}
+	 * @access private
+	 */
+	this.consumerId = process.pid + '-' + crypto.randomBytes(8).toString('hex') ;
+
+	/**
+	 * Timer to renew the leases held by this consumer before they expire
+	 * @type {Timeout|null}
+	 * @access private
+	 */
+	this.leaseTimer = null ;
+
+	/**
+	 * How many times a failed job is retried before it is moved to the dead-letter table
+	 * @type {number}
+	 * @access private
+	 */
+	this.maxRetries = (options.maxRetries === undefined) ? Infinity : options.maxRetries ;
+	if(typeof this.maxRetries !== 'number' || this.maxRetries < 0)
+		throw new Error('Invalid maxRetries option.  Must be a number >= 0') ;
+
+	/**
+	 * How long to keep finished jobs in the history table, or false to delete them when they finish
+	 * @type {PersistentQueue~Retention|false}
+	 * @access private
+	 */
+	this.keepCompleted = options.keepCompleted ? Object.assign({ maxAge: Infinity, maxCount: Infinity }, options.keepCompleted) : false ;
+	if(this.keepCompleted && (typeof this.keepCompleted.maxAge !== 'number' || this.keepCompleted.maxAge < 0
+		|| typeof this.keepCompleted.maxCount !== 'number' || this.keepCompleted.maxCount < 0))
+		throw new Error('Invalid keepCompleted option.  Must be a boolean, or have maxAge >= 0 and maxCount >= 0') ;
+
+	/**
+	 * Whether to move jobs that can't be decoded into the quarantine table
+	 * @type {boolean}
+	 * @access private
+	 */
+	this.quarantine = Boolean(options.quarantine) ;
+
+	/**
+	 * Converts jobs to and from how they are stored in the sqlite db
+	 * @type {PersistentQueue~Serializer}
+	 * @access private
+	 */
+	this.serializer = (options.serializer === undefined) ? serializers.json : options.serializer ;
+	if(typeof this.serializer === 'string' && Object.prototype.hasOwnProperty.call(serializers, this.serializer))
+		this.serializer = serializers[this.serializer] ;
+	if(this.serializer === null || typeof this.serializer !== 'object'
+		|| typeof this.serializer.encode !== 'function' || typeof this.serializer.decode !== 'function')
+		throw new Error('Invalid serializer option.  Must be one of '+Object.keys(serializers).join(', ')+', or an object with encode and decode functions') ;
+
+	/**
+	 * Token bucket limiting how fast jobs are started, or null to start them as fast as slots are free
+	 * @type {PersistentQueue~RateLimit|null}
+	 * @access private
+	 */
+	this.rateLimit = (options.rateLimit === undefined) ? null : options.rateLimit ;
+	if(this.rateLimit !== null && (typeof this.rateLimit !== 'object' || typeof this.rateLimit.max !== 'number'
+		|| this.rateLimit.max < 1 || typeof this.rateLimit.interval !== 'number' || this.rateLimit.interval <= 0
+		|| (this.rateLimit.key !== undefined && typeof this.rateLimit.key !== 'function')))
+		throw new Error('Invalid rateLimit option.  Must have max >= 1 and interval > 0, and key must be a function') ;
+
+	/**
+	 * Default milliseconds a job may be in progress before it fails, or undefined to wait forever
+	 * @type {number|undefined}
+	 * @access private
+	 */
+	this.timeout = options.timeout ;
+	if(this.timeout !== undefined && (typeof this.timeout !== 'number' || this.timeout <= 0))
+		throw new Error('Invalid timeout option.  Must be a number > 0') ;
+
+	/**
+	 * Timers failing each job in progress that has a timeout, keyed by job id
+	 * @type {Map<number, Timeout>}
+	 * @access private
+	 */
+	this.timeouts = new Map() ;
+
+	/**
+	 * The most jobs the queue may hold, or undefined for no limit
+	 * @type {number|undefined}
+	 * @access private
+	 */
+	this.maxLength = options.maxLength ;
+	if(this.maxLength !== undefined && (!Number.isInteger(this.maxLength) || this.maxLength < 1))
+		throw new Error('Invalid maxLength option.  Must be an integer > 0') ;
+
+	/**
+	 * What to do when adding jobs to a full queue
+	 * @type {string}
+	 * @access private
+	 */
+	this.overflow = (options.overflow === undefined) ? 'reject' : options.overflow ;
+	if(!['reject', 'wait', 'dropOldest'].includes(this.overflow))
+		throw new Error('Invalid overflow option.  Must be one of reject, wait or dropOldest') ;
+
+	/**
+	 * The queue holds maxLength jobs, and a 'full' event has been emitted
+	 * @type {boolean}
+	 * @access private
+	 */
+	this.full = false ;
+
+	/**
+	 * Room set aside in the queue for jobs being added
+	 * @type {number}
+	 * @access private
+	 */
+	this.reserved = 0 ;
+
+	/**
+	 * Adds waiting for room in the queue, in the order they were made
+	 * @type {Array<{count: number, resolve: function, reject: function}>}
+	 * @access private
+	 */
+	this.waitingForRoom = [] ;
+
+	/**
+	 * Settles once the oldest jobs being dropped to make room have been deleted
+	 * @type {Promise}
+	 * @access private
+	 */
+	this.dropping = Promise.resolve() ;
+
+	/**
+	 * Tokens left in each rate limit bucket, and when they were counted, keyed by rate limit key
+	 * @type {Map<string, {key: string, tokens: number, updatedAt: number}>}
+	 * @access private
+	 */
+	this.buckets = new Map() ;
+
+	/**
+	 * Timer to wake the queue when the rate limit next allows a job to start
+	 * @type {Timeout|null}
+	 * @access private
+	 */
+	this.limitTimer = null ;
 
 	/**
 	 * The queue of objects to operate on
@@ -99,6 +576,91 @@ function PersistentQueue(filename, batchSize) {
 	 */
 	this.queue = [] ;
 
+	/**
+	 * Jobs that have been emitted via 'next' and are waiting on done() or abort(), keyed by job id
+	 * @type {Map<number, PersistentQueue~Job>}
+	 * @access private
+	 */
+	this.active = new Map() ;
+
+	/**
+	 * When each job in progress was started, keyed by job id
+	 * @type {Map<number, number>}
+	 * @access private
+	 */
+	this.startedAt = new Map() ;
+
+	/**
+	 * Ids of jobs in progress that done(), fail() or abort() has been called for
+	 * @type {Set<number>}
+	 * @access private
+	 */
+	this.finishing = new Set() ;
+
+	/**
+	 * Ids of jobs in progress whose start hasn't been recorded in the db yet
+	 * @type {Set<number>}
+	 * @access private
+	 */
+	this.unrecorded = new Set() ;
+
+	/**
+	 * Timer to record the starts of the jobs in unrecorded
+	 * @type {Timeout|null}
+	 * @access private
+	 */
+	this.recordTimer = null ;
+
+	/**
+	 * Ids of the jobs in each batch in progress, when emitting 'nextBatch' events
+	 * @type {Set<Set<number>>}
+	 * @access private
+	 */
+	this.batches = new Set() ;
+
+	/**
+	 * Timer to wake the queue when the next delayed job becomes due
+	 * @type {Timeout|null}
+	 * @access private
+	 */
+	this.timer = null ;
+
+	/**
+	 * Set while a batch of jobs is being loaded from the db
+	 * @type {boolean}
+	 * @access private
+	 */
+	this.hydrating = false ;
+
+	/**
+	 * Settles once the transaction currently underway (if any) has finished
+	 * @type {Promise}
+	 * @access private
+	 */
+	this.transactions = Promise.resolve() ;
+
+	/**
+	 * Statements issued while a transaction is underway, as method names and arguments, held back until it has
+	 * finished so they aren't committed or rolled back with it.  Null when no transaction is underway
+	 * @type {Array<Array>|null}
+	 * @access private
+	 */
+	this.held = null ;
+
+	/**
+	 * The 'next' (or 'nextBatch') event handler added by process()
+	 * @type {function|null}
+	 * @access private
+	 */
+	this.processor = null ;
+
+	/**
+	 * Counts of the jobs started and finished since the queue was opened, for getStats()
+	 * @type {{openedAt: number, completed: number, failed: number, waits: number, waitTime: number, finished: number, processingTime: number}|null}
+	 * @access private
+	 */
+	this.metrics = null ;
+
 	/**
 	 * Keep track of total number of jobs in queue
 	 * @type {number}
@@ -147,58 +709,141 @@ function PersistentQueue(filename, batchSize) {
 		if(!this.run || this.empty) {
 			if(this.debug) console.log('run='+this.run+' and empty='+this.empty) ;
 			if(this.debug) console.log('not started or empty queue') ;
+			// Other processes sharing the queue don't emit 'add' here, so keep checking the db for their jobs
+			if(this.run && this.leaseTimeout && this.timer === null) {
+				scheduleWake(this).catch(err => {
+					this.emit('error', queueError(err, 'poll')) ;
+				}) ;
+			}
 			// If queue not started or is empty, then just return
 			return ;
 		}
 
+		// If every concurrency slot is taken, wait for a job to call done() or abort()
+		if(slotsTaken(this) >= this.concurrency) {
+			if(this.debug) console.log('concurrency limit reached') ;
+			return ;
+		}
+
 		// Define our embedded recursive function to be called later
 		const trigger = () => {
-			this.emit('next', this.queue[0]) ;
+			// Jobs may have expired while they waited in memory
+			const now = Date.now() ;
+			const expired = this.queue.filter(job => hasExpired(job, now)) ;
+			if(expired.length) {
+				this.queue = this.queue.filter(job => !hasExpired(job, now)) ;
+				expireJobs(this, expired)
+				.then(() => this.emit('trigger_next'))
+				.catch(err => {
+					this.emit('error', queueError(err, 'expire', { jobIds: expired.map(job => job.id) })) ;
+				}) ;
+			}
+
+			// Move jobs from the head of the in-memory queue into progress until every slot is taken
+			while(this.run && this.queue.length && slotsTaken(this) < this.concurrency) {
+				const jobs = takeJobs(this, this.nextBatch || 1) ;
+				// The rate limit holds back every job loaded, so wait until it allows another
+				if(jobs.length === 0) {
+					scheduleLimit(this) ;
+					break ;
+				}
+
+				const tasks = startJobs(this, jobs) ;
+				if(this.nextBatch) {
+					this.batches.add(new Set(tasks.map(job => job.id))) ;
+					this.emit('nextBatch', tasks) ;
+				}
+				else {
+					this.emit('next', tasks[0]) ;
+				}
+			}
 		} ;
 
-		// If our in-memory list is empty, but queue is not, re-hydrate from db
-		if(this.queue.length === 0 && this.length !== 0) {
+		// If our in-memory list is empty, but there are jobs in the db not yet in progress, re-hydrate from db
+		if(this.queue.length === 0 && this.length > this.active.size) {
+			// Another trigger_next is already loading the next batch
+			if(this.hydrating)
+				return ;
 
+			this.hydrating = true ;
 			hydrateQueue(this, this.batchSize)
 			.then(() => {
+				this.hydrating = false ;
 				// Schedule job for next check phase in event loop
-				setImmediate(trigger) ;
+				if(this.queue.length)
+					setImmediate(trigger) ;
+				else // None of the remaining jobs are due yet, so wait for the first that will be
+					return scheduleWake(this) ;
 			})
 			.catch(err => {
-				console.error(err) ;
-				process.exit(1) ;
+				this.hydrating = false ;
+				this.emit('error', queueError(err, 'hydrate')) ;
 			}) ;
 		}
 		else if(this.queue.length) { // If in-memory queue not empty, trigger next job
 			// https://nodejs.org/en/docs/guides/event-loop-timers-and-nexttick/
 			setImmediate(trigger) ;
 		}
-		else { // Otherwise queue is empty
+		else if(this.active.size === 0) { // Otherwise queue is empty
 			this.emit('empty') ;
+			// Now wait for jobs from other processes
+			if(this.leaseTimeout)
+				this.emit('trigger_next') ;
 		}
 	}) ;
 
 	// Set instance to empty on empty event
 	this.on('empty', () => {
 		this.empty = true ;
-		// Ask sqlite to free up unused space
-		this.db.exec("VACUUM;")
-	}) ;
+		// Ask sqlite to free up unused space.  VACUUM fails inside a transaction, so this is held back until any
+		// transaction underway has finished
+		this.db.exec('VACUUM', err => {
+			if(err !== null)
+				this.emit('error', queueError(err, 'vacuum')) ;
+		}) ;
+	}) ;
 
 	// If a job is added, trigger_next event
-	// eslint-disable-next-line no-unused-vars
-	this.on('add', job => {
+	const added = () => {
 		if(this.empty) {
 			this.empty = false ;
 			if(this.debug) console.log('No longer empty') ;
 			if(this.run)
 				this.emit('trigger_next') ;
 		}
-	}) ;
+		else if(this.run && this.queue.length === 0 && slotsTaken(this) < this.concurrency) {
+			// A concurrency slot is free, so the new job can run alongside those in progress
+			this.emit('trigger_next') ;
+		}
+	} ;
+	this.on('add', added) ;
+	this.on('addMany', added) ;
 
 	// eslint-disable-next-line no-unused-vars
 	this.on('open', db => {
 		this.opened = true ;
+		this.metrics = { openedAt: Date.now(), completed: 0, failed: 0, waits: 0, waitTime: 0, finished: 0, processingTime: 0 } ;
+	}) ;
+
+	// Emit 'full' and 'drained', and let adds waiting for room go ahead, as jobs come and go
+	['add', 'addMany', 'completed', 'dead', 'delete', 'deleteMany', 'quarantined', 'expired'].forEach(event => {
+		this.on(event, () => checkCapacity(this)) ;
+	}) ;
+
+	// Count finished jobs for getStats()
+	const finished = info => {
+		if(info.duration !== null) {
+			this.metrics.finished++ ;
+			this.metrics.processingTime += info.duration ;
+		}
+	} ;
+	this.on('completed', info => {
+		this.metrics.completed++ ;
+		finished(info) ;
+	}) ;
+	this.on('failed', info => {
+		this.metrics.failed++ ;
+		finished(info) ;
 	}) ;
 
 	// Unset the db variable when db is closed
@@ -208,6 +853,25 @@ function PersistentQueue(filename, batchSize) {
 		this.empty = undefined ;
 		this.run = false ;
 		this.queue = [] ;
+		this.active.clear() ;
+		this.finishing.clear() ;
+		this.startedAt.clear() ;
+		this.unrecorded.clear() ;
+		clearTimeout(this.recordTimer) ;
+		this.recordTimer = null ;
+		this.batches.clear() ;
+		this.timeouts.forEach(timer => clearTimeout(timer)) ;
+		this.timeouts.clear() ;
+		this.full = false ;
+		this.waitingForRoom.forEach(waiter => waiter.reject(new Error('Queue closed while waiting for room to add jobs'))) ;
+		this.waitingForRoom = [] ;
+		clearTimeout(this.timer) ;
+		this.timer = null ;
+		clearTimeout(this.limitTimer) ;
+		this.limitTimer = null ;
+		this.buckets.clear() ;
+		clearInterval(this.leaseTimer) ;
+		this.leaseTimer = null ;
 	}) ;
 }
 PersistentQueue.prototype = Object.create(EventEmitter.prototype) ;
@@ -236,29 +900,41 @@ PersistentQueue.prototype.open = function() {
 		// the next call to Database#parallelize.
 		// https://github.com/mapbox/node-sqlite3/wiki/Control-Flow#databaseserializecallback
 		this.db.serialize() ;
+		// Other queues can share the db file through their own connections, so wait for their writes to finish
+		// rather than failing with SQLITE_BUSY
+		this.db.configure('busyTimeout', 5000) ;
+		holdDuringTransactions(this) ;
 		// Create and initialise tables if they doesnt exist
 		return new Promise((resolve, reject) => {
 			let query = ` 
-			CREATE TABLE IF NOT EXISTS ${table} (id INTEGER PRIMARY KEY ASC AUTOINCREMENT, job TEXT) ; 
+			CREATE TABLE IF NOT EXISTS ${this.table} (id INTEGER PRIMARY KEY ASC AUTOINCREMENT, job TEXT${columns.map(c => ', ' + c.join(' ')).join('')}) ; 
+			
+			CREATE TABLE IF NOT EXISTS ${this.tableCount} (counter BIGINT) ; 
+			
+			CREATE TABLE IF NOT EXISTS ${this.tableDead} (id INTEGER PRIMARY KEY ASC${deadColumns.map(c => ', ' + c.join(' ')).join('')}) ; 
+			
+			CREATE TABLE IF NOT EXISTS ${this.tableCompleted} (id INTEGER PRIMARY KEY ASC${completedColumns.map(c => ', ' + c.join(' ')).join('')}) ; 
 			
-			CREATE TABLE IF NOT EXISTS ${table_count} (counter BIGINT) ; 
+			CREATE TABLE IF NOT EXISTS ${this.tableQuarantine} (id INTEGER PRIMARY KEY ASC${quarantineColumns.map(c => ', ' + c.join(' ')).join('')}) ; 
 			
-			INSERT INTO ${table_count} SELECT 0 as counter WHERE NOT EXISTS(SELECT * FROM ${table_count}) ; 
+			CREATE TABLE IF NOT EXISTS ${this.tableLimit} (key TEXT PRIMARY KEY, tokens REAL, updated_at INTEGER) ; 
 			
-			UPDATE ${table_count} SET counter = (SELECT count(*) FROM ${table}) ; 
+			INSERT INTO ${this.tableCount} SELECT 0 as counter WHERE NOT EXISTS(SELECT * FROM ${this.tableCount}) ; 
 			
-			CREATE TRIGGER IF NOT EXISTS queue_insert 
+			UPDATE ${this.tableCount} SET counter = (SELECT count(*) FROM ${this.table}) ; 
+			
+			CREATE TRIGGER IF NOT EXISTS ${this.name}_insert 
 			AFTER INSERT 
-			ON ${table} 
+			ON ${this.table} 
 			BEGIN 
-			UPDATE ${table_count} SET counter = counter + 1 ; 
+			UPDATE ${this.tableCount} SET counter = counter + 1 ; 
 			END; 
 			
-			CREATE TRIGGER IF NOT EXISTS queue_delete 
+			CREATE TRIGGER IF NOT EXISTS ${this.name}_delete 
 			AFTER DELETE 
-			ON ${table} 
+			ON ${this.table} 
 			BEGIN 
-			UPDATE ${table_count} SET counter = counter - 1 ; 
+			UPDATE ${this.tableCount} SET counter = counter - 1 ; 
 			END; 
 			` ;
 
@@ -270,13 +946,47 @@ PersistentQueue.prototype.open = function() {
 			}) ;
 		}) ;
 	})
+	.then(() => upgradeTable(this, this.table, columns))
+	.then(() => upgradeTable(this, this.tableDead, deadColumns))
+	.then(() => upgradeTable(this, this.tableCompleted, completedColumns))
+	.then(() => upgradeTable(this, this.tableQuarantine, quarantineColumns))
+	.then(() => {
+		// Index the order jobs run in, and keep deduplication keys unique (can only be created once the columns exist)
+		return new Promise((resolve, reject) => {
+			this.db.exec(`
+				CREATE INDEX IF NOT EXISTS ${this.table}_priority ON ${this.table} (priority DESC, id ASC) ;
+				CREATE UNIQUE INDEX IF NOT EXISTS ${this.table}_key ON ${this.table} (dedup_key) ;
+				CREATE INDEX IF NOT EXISTS ${this.tableCompleted}_finished ON ${this.tableCompleted} (finished_at) ;
+			`, err => {
+				if(err !== null)
+					reject(err) ;
+				resolve() ;
+			}) ;
+		}) ;
+	})
 	.then(() => countQueue(this))
 	.then(() => {
-		// Load batchSize number of jobs from queue (if there are any)
-		return hydrateQueue(this, this.batchSize)
+		// A queue that was full when it was closed is still full, so 'drained' is emitted once there's room
+		this.full = (this.maxLength !== undefined && this.length >= this.maxLength) ;
+		return this.rateLimit ? loadBuckets(this) : null ;
+	})
+	.then(() => {
+		if(this.leaseTimeout) {
+			// Keep the leases on claimed jobs from expiring while this consumer is alive
+			this.leaseTimer = setInterval(() => {
+				renewLeases(this)
+				.catch(err => {
+					this.emit('error', queueError(err, 'renewLeases')) ;
+				}) ;
+			}, this.leaseTimeout / 2) ;
+			this.leaseTimer.unref() ;
+		}
+
+		// Load batchSize number of jobs from queue (if there are any).  Shared queues claim jobs only once started
+		return (this.leaseTimeout ? Promise.resolve([]) : hydrateQueue(this, this.batchSize))
 		.then(jobs => {
 			//If no msg left, set empty to true (but don't emit event)
-			this.empty = (this.queue.length === 0) ;
+			this.empty = (this.length === 0) ;
 
 			this.emit('open', this.db) ;
 			return Promise.resolve(jobs) ;
@@ -287,12 +997,33 @@ PersistentQueue.prototype.open = function() {
 /**
  * Close the sqlite database
  *
+ * @param {Object} [options]
+ * @param {boolean} [options.wait=false] Stop the queue and wait for the jobs in progress to finish first (see drain())
+ * @param {number} [options.timeout] Milliseconds to wait for the jobs in progress before closing anyway.  Jobs
+ * still in progress stay in the queue, and are emitted as stalled when it is next opened
  * @return {Promise}
  */
-PersistentQueue.prototype.close = function() {
-
-	return new Promise((resolve, reject) => {
+PersistentQueue.prototype.close = function(options) {
+	options = options || {} ;
+
+	const drained = options.wait ? this.drain({ timeout: options.timeout }).catch(() => {}) : Promise.resolve() ;
+	// Let any transaction underway commit
+	return drained
+	.then(() => this.transactions)
+	.then(() => new Promise((resolve, reject) => {
 		setTimeout(() => {
+			// Finishing jobs would otherwise start more, or vacuum the db, while it closes
+			this.run = false ;
+			// So the jobs still in progress are emitted as stalled when it is next opened
+			recordStarts(this) ;
+			// Let other processes claim the jobs this consumer didn't finish
+			if(this.leaseTimeout) {
+				this.db.run(`UPDATE ${this.table} SET lease_owner = NULL, lease_expires = NULL WHERE lease_owner = ?`, this.consumerId, err => {
+					if(err !== null)
+						this.emit('error', queueError(err, 'releaseLeases')) ;
+				}) ;
+			}
+
 			this.db.close(err => {
 				if(err)
 					reject(err) ;
@@ -300,7 +1031,7 @@ PersistentQueue.prototype.close = function() {
 				resolve() ;
 			}) ;
 		}, 0) ;
-	}) ;
+	})) ;
 } ;
 
 /**
@@ -312,6 +1043,66 @@ PersistentQueue.prototype.getLength = function() {
 	return this.length ;
 } ;
 
+/**
+ * Get statistics about the queue.  Counts of finished jobs, throughput and average times are since the
+ * queue was opened
+ *
+ * @return {Promise<PersistentQueue~Stats>}
+ */
+PersistentQueue.prototype.getStats = function() {
+	return new Promise((resolve, reject) => {
+		if(this.db === null) {
+			reject('Open queue database before getting stats') ;
+			return ;
+		}
+
+		const [where, params] = pending(this) ;
+		let query = `SELECT (SELECT COUNT(*) FROM ${this.table} WHERE ${where}) AS pending,
+			(SELECT MIN(created_at) FROM ${this.table} WHERE ${where}) AS oldest,
+			(SELECT COUNT(*) FROM ${this.tableDead}) AS dead` ;
+		this.db.get(query, params.concat(params), (err, row) => {
+			if(err !== null) {
+				reject(err) ;
+				return ;
+			}
+
+			const now = Date.now() ;
+			const m = this.metrics ;
+			const elapsed = (now - m.openedAt) / 1000 ;
+			resolve({
+				pending: row.pending,
+				inFlight: this.active.size,
+				completed: m.completed,
+				failed: m.failed,
+				dead: row.dead,
+				throughput: elapsed ? m.completed / elapsed : 0,
+				averageWait: m.waits ? m.waitTime / m.waits : null,
+				averageProcessing: m.finished ? m.processingTime / m.finished : null,
+				oldestPendingAge: (row.oldest === null) ? null : now - row.oldest
+			}) ;
+		}) ;
+	}) ;
+} ;
+
+/**
+ * Get the statistics from getStats() in the Prometheus text exposition format, labelled with the queue name
+ *
+ * @return {Promise<string>}
+ */
+PersistentQueue.prototype.getMetrics = function() {
+	return this.getStats()
+	.then(stats => metrics.map(([name, type, help, stat, scale]) => {
+		let lines = [
+			`# HELP persistent_queue_${name} ${help}`,
+			`# TYPE persistent_queue_${name} ${type}`
+		] ;
+		// Averages and ages are unknown until there are jobs to measure
+		if(stats[stat] !== null)
+			lines.push(`persistent_queue_${name}{queue="${this.name}"} ${stats[stat] * scale}`) ;
+		return lines.join('\n') ;
+	}).join('\n') + '\n') ;
+} ;
+
 /**
  * Start processing the queue
  */
@@ -326,296 +1117,2429 @@ PersistentQueue.prototype.stop = function() {
 	this.emit('stop') ;
 } ;
 
+/**
+ * Stop processing the queue, and wait for the jobs in progress to call done(), fail() or abort()
+ *
+ * @param {Object} [options]
+ * @param {number} [options.timeout] Milliseconds to wait before rejecting
+ * @return {Promise} Resolves once no jobs are in progress, or rejects if the timeout passes first
+ */
+PersistentQueue.prototype.drain = function(options) {
+	options = options || {} ;
+	this.stop() ;
+
+	return new Promise((resolve, reject) => {
+		let timer = null ;
+		const idle = () => {
+			if(this.active.size)
+				return ;
+			clearTimeout(timer) ;
+			this.removeListener('idle', idle) ;
+			resolve() ;
+		} ;
+
+		if(options.timeout !== undefined) {
+			timer = setTimeout(() => {
+				this.removeListener('idle', idle) ;
+				reject(new Error('Timed out waiting for '+this.active.size+' jobs in progress to finish')) ;
+			}, options.timeout) ;
+		}
+		this.on('idle', idle) ;
+		idle() ;
+	}) ;
+} ;
+
 /**
  * Called by user from within their 'next' event handler when finished
  *
- * It will remove the current  job from the sqlite queue and emit another 'next' event
+ * It will remove the job from the sqlite queue (recording it in the history table when the keepCompleted option
+ * is set) and emit another 'next' event
+ *
+ * @param {number} [id] The id of the finished job.  If omitted, the longest running job is assumed
+ * @param {*} [result] The result of the job, to record in the history table.  The id must be given with it
+ * @return {Promise} Resolves once the job is removed from the queue.  Rejects if the job is not in progress, or
+ * if removing it fails, in which case the job stays in progress, so done() can be called for it again
  */
-PersistentQueue.prototype.done = function() {
+PersistentQueue.prototype.done = function(id, result) {
+
+	// A result alone could be mistaken for the id of another job in progress
+	if((id !== undefined && typeof id !== 'number') || (id === undefined && result !== undefined))
+		return Promise.reject(new Error('Invalid id parameter.  Must be a number, and given along with a result')) ;
 
 	if(this.debug) console.log('Calling done!') ;
-	// Remove the job from the queue
-	removeJob(this)
+	let job ;
+	try {
+		job = finishJob(this, id) ;
+	}
+	catch(err) {
+		return Promise.reject(err) ;
+	}
+	// Remove the job from the queue.  Encoding the result may throw, so the job mustn't be left finishing
+	return Promise.resolve()
+	.then(() => this.keepCompleted ? completeJobs(this, [job], [result]) : removeJob(this, job.id))
 	.then(() => {
 		if(this.debug) console.log('Job deleted from db') ;
+		const completed = completedEvent(this, job, result) ;
+		// The job no longer occupies a concurrency slot
+		releaseJob(this, job) ;
 		// Decrement our job length
 		this.length-- ;
+		this.emit('completed', completed) ;
+		this.emit('trigger_next') ;
+	})
+	.catch(err => {
+		if(err.missing)
+			forgetJobs(this, [job]) ;
+		else
+			this.finishing.delete(job.id) ;
+		throw queueError(err, 'done', { jobId: job.id }) ;
+	}) ;
+} ;
+
+/**
+ * Called by user from within their 'nextBatch' event handler when finished with some or all of the jobs
+ *
+ * It will remove the jobs from the sqlite queue in a single transaction (recording them in the history table when
+ * the keepCompleted option is set) and emit another 'nextBatch' event
+ *
+ * @param {number[]} ids The ids of the finished jobs
+ * @return {Promise} Resolves once the jobs are removed from the queue.  Rejects if any of the jobs is not in
+ * progress, or if removing them fails, in which case the jobs stay in progress
+ */
+PersistentQueue.prototype.doneMany = function(ids) {
+
+	if(this.debug) console.log('Calling doneMany!') ;
+	if(!Array.isArray(ids))
+		return Promise.reject(new Error('Invalid ids parameter.  Must be an array')) ;
+	// Check every job before claiming any of them, so none are left half finished
+	const unclaimed = ids.find((id, i) => !this.active.has(id) || this.finishing.has(id) || ids.indexOf(id) !== i) ;
+	if(unclaimed !== undefined)
+		return Promise.reject(new Error('Job id '+unclaimed+' is not in progress')) ;
+	const jobs = ids.map(id => finishJob(this, id)) ;
+	if(jobs.length === 0)
+		return Promise.resolve() ;
+
+	return completeJobs(this, jobs, [])
+	.then(() => {
+		if(this.debug) console.log('Jobs deleted from db') ;
+		const completed = jobs.map(job => completedEvent(this, job)) ;
+		jobs.forEach(job => releaseJob(this, job)) ;
+		this.length -= jobs.length ;
+		completed.forEach(event => this.emit('completed', event)) ;
 		this.emit('trigger_next') ;
 	})
 	.catch(err => {
-		console.error(err) ;
-		process.exit(1) ;
+		if(err.missing)
+			forgetJobs(this, jobs) ;
+		else
+			ids.forEach(id => this.finishing.delete(id)) ;
+		throw queueError(err, 'doneMany', { jobIds: ids }) ;
 	}) ;
 } ;
 
 /**
  * Called by user from within their 'next' event handler when error occurred and job to remain at head of queue
  *
- * It will leave the current job in the queue and stop the queue
+ * It will return the job to the queue and stop the queue.  Any other jobs in progress may still call done()
+ *
+ * @param {number} [id] The id of the aborted job.  If omitted, the longest running job is assumed
+ * @return {Promise} Resolves once the job is back in the queue, or rejects if it is not in progress.  Failing
+ * to record that in the db emits an 'error' event instead
  */
-PersistentQueue.prototype.abort = function() {
+PersistentQueue.prototype.abort = function(id) {
 
 	if(this.debug) console.log('Calling abort!') ;
+	let job ;
+	try {
+		job = finishJob(this, id) ;
+	}
+	catch(err) {
+		return Promise.reject(err) ;
+	}
+	releaseJob(this, job) ;
+	requeueJob(this, job) ;
 	this.stop() ;
+	// The job is waiting to run again, so it mustn't be taken for one left in progress when the queue is next opened
+	return updateJob(this, job.id, { started_at: null })
+	.catch(err => {
+		// Its row has gone from the db, so it mustn't run again
+		if(err.missing && this.queue.includes(job)) {
+			this.queue.splice(this.queue.indexOf(job), 1) ;
+			this.length-- ;
+		}
+		this.emit('error', queueError(err, 'abort', { jobId: job.id })) ;
+	}) ;
 } ;
 
 /**
- * Called by user to add a job to the queue
+ * Called by user from within their 'next' event handler when the job failed and should be retried later
  *
- * @param {Object} job Object to be serialized and added to queue via JSON.stringify()
- * @return {Promise<number>} Job id
+ * The attempt is recorded against the job in the sqlite queue, and the job is retried after an exponential
+ * backoff delay (see the backoff option).  The queue keeps processing other jobs in the meantime
+ *
+ * @param {number} [id] The id of the failed job.  If omitted, the longest running job is assumed
+ * @param {Error|string} [err] The reason the job failed
+ * @return {Promise} Resolves once the failure is recorded.  Rejects if the job is not in progress, or if
+ * recording the failure fails, in which case the job stays in progress, so fail() can be called for it again
  */
-PersistentQueue.prototype.add = function(job) {
+PersistentQueue.prototype.fail = function(id, err) {
 
-	const self = this ;
+	// Allow fail(err) for the longest running job
+	if(id !== undefined && typeof id !== 'number') {
+		err = id ;
+		id = undefined ;
+	}
 
-	return new Promise((resolve, reject) => {
-		this.db.run('INSERT INTO ' + table + ' (job) VALUES (?)', JSON.stringify(job), function(err) {
-			if(err)
-				reject(err) ;
+	if(this.debug) console.log('Calling fail!') ;
+	let job ;
+	try {
+		job = finishJob(this, id) ;
+	}
+	catch(err) {
+		return Promise.reject(err) ;
+	}
+	const attempts = (job.attempts || 0) + 1 ;
+	const lastError = (err instanceof Error) ? err.message : (err === undefined) ? null : String(err) ;
+	const failedAt = Date.now() ;
+	const errors = (job.errors || []).concat({ attempt: attempts, error: lastError, at: failedAt }) ;
+	const failed = Object.assign({ id: job.id, job: job.job, error: lastError, attempts: attempts, failedAt: failedAt }, timing(this, job, failedAt)) ;
+
+	// Out of retries, so move the job out of the queue and into the dead-letter table
+	const failure = err => {
+		if(err.missing)
+			forgetJobs(this, [job]) ;
+		else
+			this.finishing.delete(job.id) ;
+		throw queueError(err, 'fail', { jobId: job.id }) ;
+	} ;
+
+	if(attempts > this.maxRetries) {
+		return killJob(this, job, attempts, errors)
+		.then(() => {
+			releaseJob(this, job) ;
+			// Decrement our job length
+			this.length-- ;
+			this.emit('failed', Object.assign(failed, { retryAt: null })) ;
+			this.emit('dead', { id: job.id, job: job.job, attempts: attempts, errors: errors }) ;
+			this.emit('trigger_next') ;
+		})
+		.catch(failure) ;
+	}
 
-			// Increment our job length
-			self.length++ ;
+	// Make the job due again once its backoff delay has passed
+	const delay = retryDelay(this, attempts) ;
+	if(this.debug) console.log('Retrying job '+job.id+' in '+delay+'ms') ;
+	return updateJob(this, job.id, {
+		attempts: attempts,
+		last_error: lastError,
+		errors: JSON.stringify(errors),
+		run_at: failedAt + delay,
+		started_at: null,
+		// Any other process may retry the job
+		lease_owner: null,
+		lease_expires: null
+	})
+	.then(() => {
+		releaseJob(this, job) ;
+		this.emit('failed', Object.assign(failed, { retryAt: failedAt + delay })) ;
+		// Let another job take the free concurrency slot while this one waits
+		this.emit('trigger_next') ;
+	})
+	.catch(failure) ;
+} ;
 
-			self.emit('add', { id: this.lastID, job: job }) ;
-			resolve(this.lastID) ;
-		}) ;
+/**
+ * Report the progress of a job in progress, from within its 'next' event handler.  The latest progress is
+ * stored with the job in the sqlite queue, and a 'progress' event is emitted.  The job's own progress(value)
+ * function can be called instead
+ *
+ * @param {number} id The id of the job
+ * @param {*} value The progress, such as a percentage.  Anything the queue's serializer can encode
+ * @return {Promise} Resolves once the progress is stored, or rejects if the job is not in progress or the
+ * progress can't be encoded
+ */
+PersistentQueue.prototype.progress = function(id, value) {
+	const job = this.active.get(id) ;
+	if(job === undefined || this.finishing.has(id))
+		return Promise.reject(new Error('Job id '+id+' is not in progress')) ;
+
+	return Promise.resolve()
+	.then(() => updateJob(this, id, { progress: this.serializer.encode(value) }))
+	.then(() => {
+		job.lastProgress = value ;
+		const at = Date.now() ;
+		this.emit('progress', Object.assign({ id: id, job: job.job, progress: value, at: at }, timing(this, job, at))) ;
 	}) ;
 } ;
 
 /**
- * Turn on or off the debugging function. Off by default
+ * Get the latest progress reported for a job in the queue, which may be in progress in another process
  *
- * @param {boolean} debug True to turn on, false to turn off
- * @return {PersistentQueue} Instance for method chaining
+ * @param {number} id The id of the job
+ * @return {Promise<*>} The progress, or null if none has been reported or the job isn't in the queue
  */
-PersistentQueue.prototype.setDebug = function(debug) {
-	this.debug = debug ;
-	return this ;
+PersistentQueue.prototype.getProgress = function(id) {
+	return new Promise((resolve, reject) => {
+		if(this.db === null) {
+			reject('Open queue database before getting progress') ;
+			return ;
+		}
+
+		this.db.get(`SELECT progress FROM ${this.table} WHERE id = ?`, id, (err, row) => {
+			if(err !== null) {
+				reject(err) ;
+				return ;
+			}
+
+			try {
+				resolve((row === undefined || row.progress === null) ? null : this.serializer.decode(row.progress)) ;
+			}
+			catch(err) {
+				reject(err) ;
+			}
+		}) ;
+	}) ;
 } ;
 
 /**
- * Is the persistent storage queue empty
+ * Process jobs with a function, as an alternative to handling 'next' events and calling done() or fail()
  *
- * @throws {Error} If open method hasn't been called first
+ * The handler is called with each job.  When the promise it returns resolves, done() is called for the job
+ * with the value it resolved to.
+ * If it rejects (or the handler throws), fail() is called so the job is retried.  A handler that calls
+ * done(), fail() or abort() itself is left to do so.  When the nextBatch option is set, the handler is
+ * called with an array of jobs instead, and doneMany() or fail() is called for those it left unfinished
  *
- * @return {boolean} True if empty, false if jobs still remain
+ * @param {function((PersistentQueue~Job|PersistentQueue~Job[])): (Promise|*)} handler Function to process each job
+ * @throws {Error} If the handler is not a function, or a handler has already been given
+ * @return {PersistentQueue} Instance for method chaining
  */
-PersistentQueue.prototype.isEmpty = function() {
-	if(this.empty === undefined)
-		throw new Error('Call open() method before calling isEmpty()') ;
-	return this.empty ;
+PersistentQueue.prototype.process = function(handler) {
+	if(typeof handler !== 'function')
+		throw new Error('Invalid handler parameter.  Must be a function') ;
+	if(this.processor !== null)
+		throw new Error('process() has already been called for this queue') ;
+
+	this.processor = jobs => {
+		let result ;
+		try {
+			result = Promise.resolve(handler(jobs)) ;
+		}
+		catch(err) {
+			result = Promise.reject(err) ;
+		}
+
+		// Unless the handler already finished with the job itself
+		const unfinished = () => [].concat(jobs).filter(job => this.active.get(job.id) === job && !this.finishing.has(job.id)) ;
+		result.then(value => {
+			const ids = unfinished().map(job => job.id) ;
+			if(this.nextBatch)
+				return this.doneMany(ids) ;
+			else if(ids.length)
+				return this.done(ids[0], value) ;
+		}, err => {
+			return Promise.all(unfinished().map(job => this.fail(job.id, err))) ;
+		})
+		// There's no caller to reject
+		.catch(err => {
+			this.emit('error', err) ;
+		}) ;
+	} ;
+	this.on(this.nextBatch ? 'nextBatch' : 'next', this.processor) ;
+	return this ;
 } ;
 
 /**
- * Is the queue started and processing jobs
+ * Iterate over the jobs in the queue with for await...of, as an alternative to handling 'next' events
  *
- * @return {boolean} True if started, otherwise false
+ * Starts the queue, and yields each job in turn.  A job is done once the body of the loop finishes with it and
+ * the next job is asked for, unless the body already called done(), fail() or abort() for it.  Breaking out of
+ * the loop (or throwing from it) aborts the job, so it stays at the head of the queue, and stops the queue.
+ * The loop ends when the queue is stopped or closed
+ *
+ * @throws {Error} If the nextBatch option is set
+ * @return {AsyncIterator<PersistentQueue~Job>}
  */
-PersistentQueue.prototype.isStarted = function() {
-	return this.run ;
+PersistentQueue.prototype[Symbol.asyncIterator] = function() {
+	if(this.nextBatch)
+		throw new Error('Jobs can\'t be iterated one at a time when the nextBatch option is set') ;
+
+	// The job yielded to the loop body, and any others emitted (when concurrency > 1) before it asked for them
+	let current = null ;
+	let waiting = [] ;
+	// Resolves the promise returned by next() while it waits for a job
+	let pending = null ;
+	let finished = false ;
+
+	const unfinished = job => this.active.get(job.id) === job && !this.finishing.has(job.id) ;
+
+	const next = job => {
+		if(pending === null) {
+			waiting.push(job) ;
+			return ;
+		}
+		current = job ;
+		pending({ value: job, done: false }) ;
+		pending = null ;
+	} ;
+
+	const finish = () => {
+		finished = true ;
+		this.removeListener('next', next) ;
+		this.removeListener('stop', finish) ;
+		this.removeListener('close', finish) ;
+		// Jobs the loop never saw go back to the head of the queue
+		waiting.filter(unfinished).forEach(job => this.abort(job.id)) ;
+		waiting = [] ;
+		if(pending !== null) {
+			pending({ value: undefined, done: true }) ;
+			pending = null ;
+		}
+	} ;
+
+	this.on('next', next) ;
+	this.on('stop', finish) ;
+	this.on('close', finish) ;
+
+	return {
+		next: () => {
+			const job = current ;
+			current = null ;
+			// The loop body has finished with the last job
+			return Promise.resolve()
+			.then(() => (job !== null && unfinished(job)) ? this.done(job.id) : null)
+			.then(() => {
+				if(finished)
+					return { value: undefined, done: true } ;
+				if(waiting.length) {
+					current = waiting.shift() ;
+					return { value: current, done: false } ;
+				}
+
+				return new Promise(resolve => {
+					pending = resolve ;
+					this.start() ;
+				}) ;
+			}) ;
+		},
+		return: () => {
+			const job = current ;
+			current = null ;
+			if(!finished)
+				finish() ;
+			if(job !== null && unfinished(job))
+				this.abort(job.id) ;
+			this.stop() ;
+			return Promise.resolve({ value: undefined, done: true }) ;
+		},
+		[Symbol.asyncIterator]() {
+			return this ;
+		}
+	} ;
 } ;
 
 /**
- * Is the queue's SQLite DB open
+ * Create an object mode Writable stream that adds each object written to it to the queue.  Objects written
+ * while an add is underway are added together in one transaction, and the stream applies backpressure until
+ * they have been added
  *
- * @return {boolean} True if opened, otherwise false
+ * @param {Object} [options] Applied to every job, as for addMany()
+ * @throws {Error} If a deduplication key is given
+ * @return {stream.Writable}
  */
-PersistentQueue.prototype.isOpen = function() {
-	return this.opened ;
+PersistentQueue.prototype.createWriteStream = function(options) {
+	if(options && options.key !== undefined)
+		throw new Error('Deduplication keys are not supported by createWriteStream()') ;
+
+	return new stream.Writable({
+		objectMode: true,
+		write: (job, encoding, callback) => {
+			this.add(job, options)
+			.then(() => callback(), callback) ;
+		},
+		writev: (chunks, callback) => {
+			this.addMany(chunks.map(chunk => chunk.chunk), options)
+			.then(() => callback(), callback) ;
+		}
+	}) ;
 } ;
 
 /**
- * Get a reference to sqlite3 Database instance
+ * Create an object mode Readable stream of the jobs in the queue, as an alternative to handling 'next' events
  *
- * @throws {Error} If open method hasn't been called first
- * @return {sqlite3.Database}
+ * Starts the queue once the stream is read.  Downstream consumers call each job's own done() or fail() function
+ * once they have finished with it, and until then it holds its concurrency slot, so the stream reads no further
+ * ahead of them than the concurrency option allows.  Destroying the stream aborts the jobs read but not
+ * finished, so they stay at the head of the queue, and stops the queue.  The stream ends when the queue is
+ * stopped or closed
+ *
+ * @param {Object} [options]
+ * @param {number} [options.highWaterMark=1] How many jobs to buffer for downstream consumers
+ * @throws {Error} If the nextBatch option is set
+ * @return {stream.Readable}
  */
-PersistentQueue.prototype.getSqlite3 = function() {
-	if(this.db === null)
-		throw new Error('Call open() method before calling getSqlite3()') ;
-	return this.db ;
+PersistentQueue.prototype.createReadStream = function(options) {
+	if(this.nextBatch)
+		throw new Error('Jobs can\'t be streamed one at a time when the nextBatch option is set') ;
+	options = options || {} ;
+
+	// Jobs pushed to the stream, which downstream consumers may not have finished with yet
+	let unfinished = new Set() ;
+	const inProgress = job => this.active.get(job.id) === job && !this.finishing.has(job.id) ;
+
+	const next = job => {
+		unfinished.forEach(j => {
+			if(!inProgress(j))
+				unfinished.delete(j) ;
+		}) ;
+		unfinished.add(job) ;
+		readable.push(job) ;
+	} ;
+
+	const finish = () => {
+		this.removeListener('next', next) ;
+		this.removeListener('stop', end) ;
+		this.removeListener('close', end) ;
+	} ;
+
+	const end = () => {
+		finish() ;
+		readable.push(null) ;
+	} ;
+
+	const readable = new stream.Readable({
+		objectMode: true,
+		highWaterMark: (options.highWaterMark === undefined) ? 1 : options.highWaterMark,
+		read: () => {
+			if(!this.isStarted() && this.listeners('next').includes(next))
+				this.start() ;
+		},
+		destroy: (err, callback) => {
+			finish() ;
+			const aborted = Array.from(unfinished).filter(inProgress).map(job => job.abort()) ;
+			unfinished.clear() ;
+			this.stop() ;
+			Promise.all(aborted)
+			.then(() => callback(err), callback) ;
+		}
+	}) ;
+
+	this.on('next', next) ;
+	this.on('stop', end) ;
+	this.on('close', end) ;
+	return readable ;
 } ;
 
 /**
- * Returns true if there is a job with 'id' still in queue, otherwise false
- * @param {number} id The job id to search for
- * @return {Promise<boolean>} Promise resolves true if the job id is still in the queue, otherwise false
+ * List the jobs in the queue, including any in progress and those delayed until later
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit=100] The maximum number of jobs to return
+ * @param {number} [options.offset=0] How many jobs to skip
+ * @return {Promise<PersistentQueue~Job[]>} Jobs in the order they run (by priority, then id)
  */
-PersistentQueue.prototype.has = function(id) {
+PersistentQueue.prototype.getJobs = function(options) {
+	options = Object.assign({ limit: 100, offset: 0 }, options) ;
 
-	// First search the in-memory queue as its quick
-	return new Promise((reject, resolve) => {
-		for(let i=0 ; i<this.queue.length ; i++) {
-			if(this.queue[i].id === id)
-				resolve(true) ;
+	return new Promise((resolve, reject) => {
+		if(this.db === null) {
+			reject('Open queue database before listing jobs') ;
+			return ;
 		}
-		// Now check the on-disk queue
-		this.db.get('SELECT id FROM ' + table + ' where id = ?', id, (err, row) => {
-			if(err !== null)
+
+		this.db.all(`SELECT * FROM ${this.table} ORDER BY priority DESC, id ASC LIMIT ? OFFSET ?`, [options.limit, options.offset], (err, rows) => {
+			if(err !== null) {
 				reject(err) ;
+				return ;
+			}
 
-			// Return true if there is a record, otherwise return false
-			resolve(row !== undefined) ;
+			try {
+				resolve(rows.map(row => toJob(this, row))) ;
+			}
+			catch(err) {
+				reject(err) ;
+			}
 		}) ;
 	}) ;
 } ;
 
 /**
- * Return an array of job id numbers matching the given job data in order of execution
- * @param {object} job
- * @return {Promise<number[]>}
+ * Get a job from the queue
+ *
+ * @param {number} id The job id number
+ * @return {Promise<PersistentQueue~Job|null>} The job, or null if there isn't one with that id
  */
-PersistentQueue.prototype.getJobIds = function(job) {
-	return searchQueue(this, job) ;
+PersistentQueue.prototype.getJob = function(id) {
+	return new Promise((resolve, reject) => {
+		if(this.db === null) {
+			reject('Open queue database before inspecting jobs') ;
+			return ;
+		}
+
+		this.db.get(`SELECT * FROM ${this.table} WHERE id = ?`, id, (err, row) => {
+			if(err !== null) {
+				reject(err) ;
+				return ;
+			}
+
+			try {
+				resolve((row === undefined) ? null : toJob(this, row)) ;
+			}
+			catch(err) {
+				reject(err) ;
+			}
+		}) ;
+	}) ;
 } ;
 
 /**
- * Return an array of job id numbers matching the given job data in order of execution
- * @param {object} job
- * @return {Promise<number>}
+ * List the jobs in the dead-letter table
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit=100] The maximum number of jobs to return
+ * @param {number} [options.offset=0] How many jobs to skip
+ * @return {Promise<PersistentQueue~DeadJob[]>} Dead jobs in order of their original id
  */
-PersistentQueue.prototype.getFirstJobId = function(job) {
+PersistentQueue.prototype.getDeadJobs = function(options) {
+	options = Object.assign({ limit: 100, offset: 0 }, options) ;
 
-	// eslint-disable-next-line no-unused-vars
 	return new Promise((resolve, reject) => {
-		// search in-memory queue first
-		let jobstr = JSON.stringify(job) ;
-		// console.warn(`jobstr=${jobstr}`);
-		let i = this.queue.findIndex(j => {
-			// console.warn(`job=${JSON.stringify(j)}`);
-			return (JSON.stringify(j.job) === jobstr) ;
-		}) ;
-		if (i !== -1) {
-			resolve(this.queue[i].id) ;
+		if(this.db === null) {
+			reject('Open queue database before listing dead jobs') ;
 			return ;
 		}
-		// Otherwise have to search rest of db queue
-		searchQueue(this, job)
-		.then(data => {
-			if (data.length === 0) {
-				resolve(null) ;
+
+		this.db.all(`SELECT * FROM ${this.tableDead} ORDER BY id ASC LIMIT ? OFFSET ?`, [options.limit, options.offset], (err, rows) => {
+			if(err !== null) {
+				reject(err) ;
 				return ;
 			}
-			resolve(data[0]) ;
+
+			try {
+				resolve(rows.map(row => toDeadJob(this, row))) ;
+			}
+			catch(err) {
+				reject(err) ;
+			}
 		}) ;
 	}) ;
 } ;
 
-
 /**
- * Delete a job from the queue (if it exists)
- * @param {number} id The job id number to delete
- * @return {Promise<number>} The id number that was deleted
+ * Get a job from the dead-letter table
+ *
+ * @param {number} id The id the job had in the queue
+ * @return {Promise<PersistentQueue~DeadJob|null>} The dead job, or null if there isn't one with that id
  */
-PersistentQueue.prototype.delete = function(id) {
-
+PersistentQueue.prototype.getDeadJob = function(id) {
 	return new Promise((resolve, reject) => {
-		removeJob(this, id)
-		.then(() => {
-			if(this.debug) console.log('Job deleted from db') ;
-			this.emit('delete', { id: id }) ;
-			// Decrement our job length
-			this.length-- ;
-			resolve(id) ;
-		})
-		.catch(reject) ;
-	}) ;
+		if(this.db === null) {
+			reject('Open queue database before inspecting dead jobs') ;
+			return ;
+		}
+
+		this.db.get(`SELECT * FROM ${this.tableDead} WHERE id = ?`, id, (err, row) => {
+			if(err !== null) {
+				reject(err) ;
+				return ;
+			}
+
+			try {
+				resolve((row === undefined) ? null : toDeadJob(this, row)) ;
+			}
+			catch(err) {
+				reject(err) ;
+			}
+		}) ;
+	}) ;
+} ;
+
+/**
+ * Move a job from the dead-letter table back into the queue, with its attempts reset
+ *
+ * @param {number} id The id the job had in the queue
+ * @param {Object} [options]
+ * @param {boolean} [options.keepId=false] Requeue the job with its original id (and so its original position
+ * in the queue) rather than at the end of the queue with a fresh id
+ * @return {Promise<number>} The id of the requeued job
+ */
+PersistentQueue.prototype.requeueDeadJob = function(id, options) {
+	options = options || {} ;
+	// Room set aside for the job in a queue with a maxLength
+	let reserved = 0 ;
+
+	return this.getDeadJob(id)
+	.then(dead => {
+		if(dead === null)
+			throw new Error('Job id '+id+' is not in the dead-letter table') ;
+
+		const idColumn = options.keepId ? 'id, ' : '' ;
+		return makeRoom(this, 1)
+		.then(count => {
+			reserved = count ;
+			return transaction(this, [
+				[`INSERT INTO ${this.table} (${idColumn}job, errors, priority, created_at) SELECT ${idColumn}job, errors, priority, ? FROM ${this.tableDead} WHERE id = ?`,
+					[Date.now(), id]],
+				[`DELETE FROM ${this.tableDead} WHERE id = ?`, [id]]
+			]) ;
+		})
+		.then(results => {
+			const job = {
+				id: results[0].lastID,
+				job: dead.job,
+				attempts: 0,
+				lastError: null,
+				errors: dead.errors,
+				priority: dead.priority
+			} ;
+			// Increment our job length
+			this.length++ ;
+			// A job requeued with its original id or a high priority may belong in the batch loaded from the db
+			insertJob(this, job) ;
+
+			this.emit('add', { id: job.id, job: job.job }) ;
+			return job.id ;
+		}) ;
+	})
+	.then(id => {
+		freeRoom(this, reserved) ;
+		return id ;
+	}, err => {
+		freeRoom(this, reserved) ;
+		throw err ;
+	}) ;
+} ;
+
+/**
+ * Permanently delete jobs from the dead-letter table
+ *
+ * @param {number[]} [ids] The ids of the jobs to delete.  If omitted, all dead jobs are deleted
+ * @return {Promise<number>} How many jobs were deleted
+ */
+PersistentQueue.prototype.purgeDeadJobs = function(ids) {
+	return new Promise((resolve, reject) => {
+		if(this.db === null) {
+			reject('Open queue database before purging dead jobs') ;
+			return ;
+		}
+
+		let query = `DELETE FROM ${this.tableDead}` ;
+		if(ids !== undefined)
+			query += ' WHERE id IN (' + ids.map(() => '?').join(',') + ')' ;
+
+		this.db.run(query, ids || [], function(err) {
+			if(err !== null) {
+				reject(err) ;
+				return ;
+			}
+			resolve(this.changes) ;
+		}) ;
+	}) ;
+} ;
+
+/**
+ * List the jobs in the completed job history table (see the keepCompleted option)
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit=100] The maximum number of jobs to return
+ * @param {number} [options.offset=0] How many jobs to skip
+ * @return {Promise<PersistentQueue~CompletedJob[]>} Completed jobs, most recently finished first
+ */
+PersistentQueue.prototype.getCompletedJobs = function(options) {
+	options = Object.assign({ limit: 100, offset: 0 }, options) ;
+
+	return new Promise((resolve, reject) => {
+		if(this.db === null) {
+			reject('Open queue database before listing completed jobs') ;
+			return ;
+		}
+
+		this.db.all(`SELECT * FROM ${this.tableCompleted} ORDER BY finished_at DESC, id DESC LIMIT ? OFFSET ?`, [options.limit, options.offset], (err, rows) => {
+			if(err !== null) {
+				reject(err) ;
+				return ;
+			}
+
+			try {
+				resolve(rows.map(row => toCompletedJob(this, row))) ;
+			}
+			catch(err) {
+				reject(err) ;
+			}
+		}) ;
+	}) ;
+} ;
+
+/**
+ * Get a job from the completed job history table
+ *
+ * @param {number} id The id the job had in the queue
+ * @return {Promise<PersistentQueue~CompletedJob|null>} The completed job, or null if there isn't one with that id
+ */
+PersistentQueue.prototype.getCompletedJob = function(id) {
+	return new Promise((resolve, reject) => {
+		if(this.db === null) {
+			reject('Open queue database before getting completed jobs') ;
+			return ;
+		}
+
+		this.db.get(`SELECT * FROM ${this.tableCompleted} WHERE id = ?`, id, (err, row) => {
+			if(err !== null) {
+				reject(err) ;
+				return ;
+			}
+
+			try {
+				resolve((row === undefined) ? null : toCompletedJob(this, row)) ;
+			}
+			catch(err) {
+				reject(err) ;
+			}
+		}) ;
+	}) ;
+} ;
+
+/**
+ * Delete the completed jobs beyond the given retention limits from the history table.  This is done whenever
+ * a job finishes, using the limits in the keepCompleted option
+ *
+ * @param {PersistentQueue~Retention} [retention] Defaults to the limits in the keepCompleted option
+ * @return {Promise<number>} How many jobs were deleted
+ */
+PersistentQueue.prototype.pruneCompletedJobs = function(retention) {
+	retention = retention || this.keepCompleted || {} ;
+
+	return transaction(this, pruneStatements(this, retention))
+	.then(results => results.reduce((changes, result) => changes + result.changes, 0)) ;
+} ;
+
+/**
+ * List the jobs in the quarantine table (see the quarantine option).  As they couldn't be decoded, each job is
+ * given as it was stored
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit=100] The maximum number of jobs to return
+ * @param {number} [options.offset=0] How many jobs to skip
+ * @return {Promise<Array<{id: number, data: (string|Buffer), error: string, quarantinedAt: number}>>} Quarantined jobs
+ * in order of their original id
+ */
+PersistentQueue.prototype.getQuarantinedJobs = function(options) {
+	options = Object.assign({ limit: 100, offset: 0 }, options) ;
+
+	return new Promise((resolve, reject) => {
+		if(this.db === null) {
+			reject('Open queue database before listing quarantined jobs') ;
+			return ;
+		}
+
+		this.db.all(`SELECT * FROM ${this.tableQuarantine} ORDER BY id ASC LIMIT ? OFFSET ?`, [options.limit, options.offset], (err, rows) => {
+			if(err !== null) {
+				reject(err) ;
+				return ;
+			}
+
+			resolve(rows.map(row => ({ id: row.id, data: row.job, error: row.error, quarantinedAt: row.quarantined_at }))) ;
+		}) ;
+	}) ;
+} ;
+
+/**
+ * Called by user to add a job to the queue
+ *
+ * @param {Object} job Object to be serialized by the serializer and added to queue
+ * @param {Object} [options]
+ * @param {number} [options.delay] Milliseconds to wait before the job is due to run
+ * @param {Date|number} [options.runAt] When the job is due to run (a Date or milliseconds since the epoch)
+ * @param {number} [options.priority=0] Jobs with a higher priority run before those with a lower priority
+ * @param {number} [options.timeout] Milliseconds the job may be in progress before it fails, in place of the
+ * queue's timeout option
+ * @param {number} [options.ttl] Milliseconds from now until the job expires, and is deleted rather than run
+ * @param {Date|number} [options.expireAt] When the job expires (a Date or milliseconds since the epoch)
+ * @param {number} [options.attempts=0] How many times the job has already failed, say when it is moved from
+ * another queue, so it keeps its place in the backoff schedule and counts towards maxRetries
+ * @param {PersistentQueue~JobError[]} [options.errors] The history of those failures
+ * @param {string} [options.key] Deduplication key.  Only one job with a given key can be in the queue at a time
+ * @param {string} [options.onDuplicate=reject] When a job with the same key is already in the queue, either
+ * 'reject' the add, 'ignore' it and resolve the id of the existing job, or 'replace' the existing job with
+ * this one and resolve its id
+ * @return {Promise<number>} Job id.  If the queue is full, it rejects (or waits for room, or drops the oldest
+ * waiting job) according to the overflow option
+ */
+PersistentQueue.prototype.add = function(job, options) {
+
+	const self = this ;
+	options = options || {} ;
+
+	// Room set aside for the job, until it has been added
+	let reserved = 0 ;
+	return new Promise((resolve, reject) => {
+		// Throwing here rejects the promise
+		const { runAt, priority, timeout, expireAt, attempts, errors, lastError } = scheduleOptions(options) ;
+
+		const key = (options.key === undefined) ? null : options.key ;
+		if(key !== null && typeof key !== 'string') {
+			reject(new Error('Invalid key option.  Must be a string')) ;
+			return ;
+		}
+
+		const onDuplicate = options.onDuplicate || 'reject' ;
+		if(!['reject', 'ignore', 'replace'].includes(onDuplicate)) {
+			reject(new Error('Invalid onDuplicate option.  Must be one of reject, ignore or replace')) ;
+			return ;
+		}
+
+		const insert = () => {
+			const createdAt = Date.now() ;
+			// The unique index on dedup_key leaves the existing job in place
+			this.db.run('INSERT OR IGNORE INTO ' + this.table + ' (job, run_at, priority, dedup_key, created_at, timeout, expire_at, attempts, last_error, errors) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)', [this.serializer.encode(job), runAt, priority, key, createdAt, timeout, expireAt, attempts, lastError, JSON.stringify(errors)], function(err) {
+				if(err) {
+					reject(err) ;
+					return ;
+				}
+
+				if(this.changes === 0) {
+					duplicate() ;
+					return ;
+				}
+
+				// Increment our job length
+				self.length++ ;
+
+				// A due job that outranks those already loaded from the db belongs in the current batch
+				if(runAt <= Date.now())
+					insertJob(self, { id: this.lastID, job: job, attempts: attempts, lastError: lastError, errors: errors, priority: priority, key: key, createdAt: createdAt, timeout: timeout, expireAt: expireAt }) ;
+
+				self.emit('add', { id: this.lastID, job: job }) ;
+				resolve(this.lastID) ;
+			}) ;
+		} ;
+
+		const duplicate = () => {
+			if(onDuplicate === 'reject') {
+				reject(new Error('A job with key '+key+' is already in the queue')) ;
+				return ;
+			}
+
+			this.db.get('SELECT id FROM ' + this.table + ' WHERE dedup_key = ?', key, (err, row) => {
+				if(err) {
+					reject(err) ;
+					return ;
+				}
+
+				// The existing job finished in the meantime, so add this one after all
+				if(row === undefined) {
+					insert() ;
+					return ;
+				}
+
+				if(onDuplicate === 'ignore') {
+					resolve(row.id) ;
+					return ;
+				}
+
+				// The handler for a job in progress already has its payload
+				if(this.active.has(row.id)) {
+					reject(new Error('The job with key '+key+' is already in progress')) ;
+					return ;
+				}
+
+				updateJob(this, row.id, { job: this.serializer.encode(job) })
+				.then(() => {
+					let loaded = this.queue.find(j => j.id === row.id) ;
+					if(loaded !== undefined)
+						loaded.job = job ;
+					resolve(row.id) ;
+				})
+				.catch(reject) ;
+			}) ;
+		} ;
+
+		makeRoom(this, 1)
+		.then(count => {
+			reserved = count ;
+			insert() ;
+		})
+		.catch(reject) ;
+	})
+	.then(id => {
+		freeRoom(this, reserved) ;
+		return id ;
+	}, err => {
+		freeRoom(this, reserved) ;
+		throw err ;
+	}) ;
+} ;
+
+/**
+ * Called by user to add many jobs to the queue at once.  The jobs are inserted in a single transaction,
+ * so either all of them are added or none are
+ *
+ * @param {Object[]} jobs Objects to be serialized by the serializer and added to queue
+ * @param {Object} [options] Applied to every job
+ * @param {number} [options.delay] Milliseconds to wait before the jobs are due to run
+ * @param {Date|number} [options.runAt] When the jobs are due to run (a Date or milliseconds since the epoch)
+ * @param {number} [options.priority=0] Jobs with a higher priority run before those with a lower priority
+ * @param {number} [options.timeout] Milliseconds each job may be in progress before it fails, in place of the
+ * queue's timeout option
+ * @param {number} [options.ttl] Milliseconds from now until the jobs expire, and are deleted rather than run
+ * @param {Date|number} [options.expireAt] When the jobs expire (a Date or milliseconds since the epoch)
+ * @param {number} [options.attempts=0] How many times each job has already failed
+ * @param {PersistentQueue~JobError[]} [options.errors] The history of those failures
+ * @return {Promise<number[]>} Job ids, in the same order as jobs.  If the queue hasn't room for them all, it
+ * rejects (or waits for room, or drops the oldest waiting jobs) according to the overflow option
+ */
+PersistentQueue.prototype.addMany = function(jobs, options) {
+	options = options || {} ;
+
+	let runAt, priority, timeout, expireAt, attempts, errors, lastError, now ;
+	let reserved = 0 ;
+	// Anything thrown (including by the serializer) rejects the promise
+	return Promise.resolve()
+	.then(() => {
+		if(!Array.isArray(jobs))
+			throw new Error('Invalid jobs.  Must be an array') ;
+		// Each job needs its own key, so add them one at a time
+		if(options.key !== undefined)
+			throw new Error('Deduplication keys are not supported by addMany()') ;
+		({ runAt, priority, timeout, expireAt, attempts, errors, lastError } = scheduleOptions(options)) ;
+		return jobs.length ? makeRoom(this, jobs.length) : 0 ;
+	})
+	.then(count => {
+		reserved = count ;
+		const sql = 'INSERT INTO ' + this.table + ' (job, run_at, priority, created_at, timeout, expire_at, attempts, last_error, errors) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)' ;
+		now = Date.now() ;
+		return (jobs.length === 0) ? [] : transaction(this, jobs.map(job => [sql, [this.serializer.encode(job), runAt, priority, now, timeout, expireAt, attempts, lastError, JSON.stringify(errors)]])) ;
+	})
+	.then(results => {
+		const added = results.map((result, i) => ({ id: result.lastID, job: jobs[i] })) ;
+		this.length += added.length ;
+
+		// Due jobs that outrank those already loaded from the db belong in the current batch
+		if(runAt <= Date.now()) {
+			added.forEach(job => {
+				insertJob(this, { id: job.id, job: job.job, attempts: attempts, lastError: lastError, errors: errors, priority: priority, key: null, createdAt: now, timeout: timeout, expireAt: expireAt }) ;
+			}) ;
+		}
+
+		if(added.length)
+			this.emit('addMany', added) ;
+		return added.map(job => job.id) ;
+	})
+	.then(ids => {
+		freeRoom(this, reserved) ;
+		return ids ;
+	}, err => {
+		freeRoom(this, reserved) ;
+		throw err ;
+	}) ;
+} ;
+
+/**
+ * Turn on or off the debugging function. Off by default
+ *
+ * @param {boolean} debug True to turn on, false to turn off
+ * @return {PersistentQueue} Instance for method chaining
+ */
+PersistentQueue.prototype.setDebug = function(debug) {
+	this.debug = debug ;
+	return this ;
+} ;
+
+/**
+ * Is the persistent storage queue empty
+ *
+ * @throws {Error} If open method hasn't been called first
+ *
+ * @return {boolean} True if empty, false if jobs still remain
+ */
+PersistentQueue.prototype.isEmpty = function() {
+	if(this.empty === undefined)
+		throw new Error('Call open() method before calling isEmpty()') ;
+	return this.empty ;
+} ;
+
+/**
+ * Is the queue started and processing jobs
+ *
+ * @return {boolean} True if started, otherwise false
+ */
+PersistentQueue.prototype.isStarted = function() {
+	return this.run ;
+} ;
+
+/**
+ * Is the queue's SQLite DB open
+ *
+ * @return {boolean} True if opened, otherwise false
+ */
+PersistentQueue.prototype.isOpen = function() {
+	return this.opened ;
+} ;
+
+/**
+ * Get a reference to sqlite3 Database instance
+ *
+ * @throws {Error} If open method hasn't been called first
+ * @return {sqlite3.Database}
+ */
+PersistentQueue.prototype.getSqlite3 = function() {
+	if(this.db === null)
+		throw new Error('Call open() method before calling getSqlite3()') ;
+	return this.db ;
+} ;
+
+/**
+ * Returns true if there is a job with 'id' still in queue, otherwise false
+ * @param {number} id The job id to search for
+ * @return {Promise<boolean>} Promise resolves true if the job id is still in the queue, otherwise false
+ */
+PersistentQueue.prototype.has = function(id) {
+
+	// First search the in-memory queue as its quick
+	return new Promise((resolve, reject) => {
+		if(this.active.has(id) || this.queue.some(j => j.id === id)) {
+			resolve(true) ;
+			return ;
+		}
+		// Now check the on-disk queue
+		this.db.get('SELECT id FROM ' + this.table + ' where id = ?', id, (err, row) => {
+			if(err !== null)
+				reject(err) ;
+
+			// Return true if there is a record, otherwise return false
+			resolve(row !== undefined) ;
+		}) ;
+	}) ;
+} ;
+
+/**
+ * Return an array of job id numbers matching the given job data in order of execution
+ * @param {object} job
+ * @return {Promise<number[]>}
+ */
+PersistentQueue.prototype.getJobIds = function(job) {
+	return searchQueue(this, job) ;
+} ;
+
+/**
+ * Return an array of job id numbers matching the given job data in order of execution
+ * @param {object} job
+ * @return {Promise<number>}
+ */
+PersistentQueue.prototype.getFirstJobId = function(job) {
+
+	// eslint-disable-next-line no-unused-vars
+	return new Promise((resolve, reject) => {
+		// search in-memory queue first
+		let jobstr = this.serializer.encode(job) ;
+		// console.warn(`jobstr=${jobstr}`);
+		// Jobs in progress are ahead of those still waiting in the queue
+		let jobs = Array.from(this.active.values()).concat(this.queue) ;
+		let i = jobs.findIndex(j => {
+			// console.warn(`job=${JSON.stringify(j)}`);
+			return sameEncoding(this.serializer.encode(j.job), jobstr) ;
+		}) ;
+		if (i !== -1) {
+			resolve(jobs[i].id) ;
+			return ;
+		}
+		// Otherwise have to search rest of db queue
+		searchQueue(this, job)
+		.then(data => {
+			if (data.length === 0) {
+				resolve(null) ;
+				return ;
+			}
+			resolve(data[0]) ;
+		}) ;
+	}) ;
+} ;
+
+
+/**
+ * Delete a job from the queue (if it exists).  A job in progress is left to finish
+ * @param {number} id The job id number to delete
+ * @return {Promise<number>} The id number that was deleted.  Rejects if the job is in progress
+ */
+PersistentQueue.prototype.delete = function(id) {
+
+	return new Promise((resolve, reject) => {
+		if(this.active.has(id)) {
+			reject(new Error('Job id '+id+' is in progress, so can\'t be deleted')) ;
+			return ;
+		}
+
+		removeJob(this, id)
+		.then(() => {
+			if(this.debug) console.log('Job deleted from db') ;
+			// Decrement our job length (before 'delete', so a full queue knows it has room)
+			this.length-- ;
+			this.emit('delete', { id: id }) ;
+			resolve(id) ;
+		})
+		.catch(reject) ;
+	}) ;
+} ;
+
+/**
+ * Delete every job waiting in the queue.  Jobs in progress are left to finish
+ * @return {Promise<number[]>} The id numbers that were deleted
+ */
+PersistentQueue.prototype.purge = function() {
+	return new Promise((resolve, reject) => {
+		if(this.db === null) {
+			reject('Open queue database before purging jobs') ;
+			return ;
+		}
+
+		const [where, params] = pending(this) ;
+		this.db.all(`SELECT id FROM ${this.table} WHERE ${where} ORDER BY id ASC`, params, (err, rows) => {
+			if(err !== null) {
+				reject(err) ;
+				return ;
+			}
+			resolve(rows.length ? deleteJobs(this, rows.map(row => row.id)) : []) ;
+		}) ;
+	}) ;
+} ;
+
+/**
+ * Delete every job waiting in the queue that matches a filter.  Jobs in progress are left to finish
+ * @param {function(PersistentQueue~Job): boolean} filter Called with each waiting job, returns true to delete it
+ * @return {Promise<number[]>} The id numbers that were deleted
+ */
+PersistentQueue.prototype.deleteWhere = function(filter) {
+	return new Promise((resolve, reject) => {
+		if(typeof filter !== 'function') {
+			reject(new Error('Invalid filter parameter.  Must be a function')) ;
+			return ;
+		}
+		if(this.db === null) {
+			reject('Open queue database before deleting jobs') ;
+			return ;
+		}
+
+		let ids = [] ;
+		let error = null ;
+		const [where, params] = pending(this) ;
+		// Look at one row at a time rather than loading the whole queue into memory
+		this.db.each(`SELECT * FROM ${this.table} WHERE ${where} ORDER BY id ASC`, params, (err, row) => {
+			if(err !== null || error !== null)
+				return ;
+			try {
+				if(filter(toJob(this, row)))
+					ids.push(row.id) ;
+			}
+			catch(e) {
+				// Stop filtering once the filter throws (or a job can't be parsed)
+				error = e ;
+			}
+		}, err => {
+			if(err !== null || error !== null) {
+				reject(err || error) ;
+				return ;
+			}
+			resolve(ids.length ? deleteJobs(this, ids) : ids) ;
+		}) ;
+	}) ;
+} ;
+
+/**
+ * List the names of the queues in a sqlite db
+ *
+ * @param {string} filename Path to the sqlite db
+ * @return {Promise<string[]>} Queue names in alphabetical order
+ */
+PersistentQueue.listQueues = function(filename) {
+	return new Promise((resolve, reject) => {
+		const db = new sqlite3.Database(filename, sqlite3.OPEN_READONLY, err => {
+			if(err !== null) {
+				reject(err) ;
+				return ;
+			}
+
+			// Every queue has a table with its name, and a counter table named after it
+			let query = `SELECT name FROM sqlite_master WHERE type = 'table'
+				AND name || '_count' IN (SELECT name FROM sqlite_master WHERE type = 'table') ORDER BY name ASC` ;
+			db.all(query, (err, rows) => {
+				db.close(() => {
+					if(err !== null)
+						reject(err) ;
+					else
+						resolve(rows.map(row => row.name)) ;
+				}) ;
+			}) ;
+		}) ;
+	}) ;
 } ;
 
-function countQueue(q) {
-	if(q.debug) console.log('CountQueue') ;
-	return new Promise((resolve, reject) => {
-		if(q.db === null)
-			reject('Open queue database before counting jobs') ;
+/**
+ * Built-in serializers, which can be named in the serializer option
+ * @type {Object<string, PersistentQueue~Serializer>}
+ */
+PersistentQueue.serializers = serializers ;
+
+function countQueue(q) {
+	if(q.debug) console.log('CountQueue') ;
+	return new Promise((resolve, reject) => {
+		if(q.db === null)
+			reject('Open queue database before counting jobs') ;
+
+		q.db.get('SELECT counter FROM ' + q.tableCount + ' LIMIT 1', (err, row) => {
+			if(err !== null)
+				reject(err) ;
+
+			// Set length property to number of rows in sqlite table
+			q.length = row.counter ;
+			resolve(this.length) ;
+		}) ;
+	}) ;
+}
+
+function searchQueue(q, job) {
+
+	if(q.debug) console.log('SearchQueue') ;
+	return new Promise((resolve, reject) => {
+		if(q.db === null)
+			reject('Open queue database before starting queue') ;
+
+		q.db.all(`SELECT id FROM ${q.table} where job = ? ORDER BY priority DESC, id ASC`, q.serializer.encode(job), (err, jobs) => {
+			if(err !== null)
+				reject(err) ;
+
+			jobs = jobs.map(j => j.id) ;
+
+			if(q.debug) {
+				for(let i = 0 ; i < jobs.length ; i++)
+					if(q.debug) console.log(JSON.stringify(jobs[i])) ;
+
+			}
+			resolve(jobs) ;
+		}) ;
+	}) ;
+}
+
+/**
+ * This function will load from the database, 'size' number of records into queue array
+ * @param {PersistentQueue} q Instance of queue
+ * @param size How many records to hydrate
+ */
+function hydrateQueue(q, size) { // eslint-disable-line no-unused-vars
+
+	if(q.debug) console.log('HydrateQueue') ;
+	// When each job loaded was started, if it was left in progress
+	let stalled = new Map() ;
+	// When the queue is shared between processes, only load the jobs this consumer has claimed
+	const claimed = q.leaseTimeout ? claimJobs(q) : Promise.resolve() ;
+	return claimed.then(() => new Promise((resolve, reject) => {
+		if(q.db === null)
+			reject('Open queue database before starting queue') ;
+
+		// Only jobs that are due (or claimed), and not already in progress (they are still in the db)
+		let where = q.leaseTimeout ? 'lease_owner = ?' : 'run_at <= ?' ;
+		let query = 'SELECT * FROM ' + q.table + ' WHERE ' + where + ' AND ' + notActive(q) +
+			' ORDER BY priority DESC, id ASC LIMIT ' + q.batchSize ;
+		q.db.all(query, q.leaseTimeout ? q.consumerId : Date.now(), (err, rows) => {
+			if(err !== null) {
+				reject(err) ;
+				return ;
+			}
+
+			if(q.debug) {
+				for(let i = 0 ; i < rows.length ; i++)
+					if(q.debug) console.log(JSON.stringify(rows[i])) ;
+
+			}
+			resolve(rows) ;
+		}) ;
+	}))
+	.then(rows => {
+		// Convert stored jobs back to objects using the serializer, setting aside any it can't
+		let jobs = [] ;
+		let unreadable = [] ;
+		rows.forEach(row => {
+			try {
+				jobs.push(toJob(q, row)) ;
+				if(row.started_at !== null)
+					stalled.set(row.id, row.started_at) ;
+			}
+			catch(err) {
+				unreadable.push({ row: row, error: err }) ;
+			}
+		}) ;
+		if(unreadable.length === 0)
+			return jobs ;
+		if(!q.quarantine)
+			throw queueError(unreadable[0].error, 'hydrate', { jobId: unreadable[0].row.id }) ;
+
+		return quarantineJobs(q, unreadable)
+		.then(() => jobs) ;
+	})
+	.then(jobs => {
+		// Jobs that expired while they waited in the db are deleted rather than run
+		const now = Date.now() ;
+		const expired = jobs.filter(job => hasExpired(job, now)) ;
+		if(expired.length === 0)
+			return jobs ;
+
+		return expireJobs(q, expired)
+		.then(() => jobs.filter(job => !hasExpired(job, now))) ;
+	})
+	.then(jobs => {
+		// Jobs aborted while the batch was loading were left out of it
+		const requeued = q.queue ;
+		// Update our queue array
+		q.queue = jobs ;
+		requeued.filter(job => !q.queue.some(j => j.id === job.id)).forEach(job => requeueJob(q, job)) ;
+
+		// Jobs that were started but never finished, by a process that died or closed the queue first
+		const detectedAt = Date.now() ;
+		jobs.filter(job => stalled.has(job.id)).forEach(job => {
+			q.emit('stalled', { id: job.id, job: job.job, startedAt: stalled.get(job.id), detectedAt: detectedAt }) ;
+		}) ;
+
+		return jobs ;
+	}) ;
+}
+
+/**
+ * Claim the next batch of due jobs for this consumer, that no other consumer holds an unexpired lease on.
+ * SQLite locks the db for each UPDATE, so no two consumers can claim the same job
+ * @param {PersistentQueue} q Instance to work with
+ * @return {Promise<number>} How many jobs were claimed
+ */
+function claimJobs(q) {
+	if(q.debug) console.log('ClaimJobs') ;
+	// Other consumers add and remove jobs too
+	return countQueue(q)
+	.then(() => new Promise((resolve, reject) => {
+		const now = Date.now() ;
+		let query = `UPDATE ${q.table} SET lease_owner = ?, lease_expires = ? WHERE id IN (
+			SELECT id FROM ${q.table} WHERE run_at <= ? AND (lease_owner IS NULL OR lease_expires <= ?) AND ${notActive(q)}
+			ORDER BY priority DESC, id ASC LIMIT ${q.batchSize})` ;
+		q.db.run(query, [q.consumerId, now + q.leaseTimeout, now, now], function(err) {
+			if(err !== null) {
+				reject(err) ;
+				return ;
+			}
+			resolve(this.changes) ;
+		}) ;
+	})) ;
+}
+
+/**
+ * Extend the leases on all the jobs claimed by this consumer
+ * @param {PersistentQueue} q Instance to work with
+ * @return {Promise}
+ */
+function renewLeases(q) {
+	return new Promise((resolve, reject) => {
+		if(q.db === null) {
+			resolve() ;
+			return ;
+		}
+
+		q.db.run(`UPDATE ${q.table} SET lease_expires = ? WHERE lease_owner = ?`, [Date.now() + q.leaseTimeout, q.consumerId], err => {
+			if(err !== null)
+				reject(err) ;
+			resolve() ;
+		}) ;
+	}) ;
+}
+
+/**
+ * Add any columns missing from a table created by an earlier version
+ * @param {PersistentQueue} q Instance of queue
+ * @param {string} name The table to upgrade
+ * @param {Array<Array<string>>} columns The names and definitions of the columns the table should have
+ * @return {Promise}
+ */
+function upgradeTable(q, name, columns) {
+	if(q.debug) console.log('UpgradeTable '+name) ;
+	return new Promise((resolve, reject) => {
+		q.db.all(`PRAGMA table_info(${name})`, (err, info) => {
+			if(err !== null) {
+				reject(err) ;
+				return ;
+			}
+
+			const existing = info.map(column => column.name) ;
+			const missing = columns.filter(column => existing.indexOf(column[0]) === -1) ;
+			if(missing.length === 0) {
+				resolve() ;
+				return ;
+			}
+
+			let query = missing.map(column => `ALTER TABLE ${name} ADD COLUMN ${column.join(' ')} ;`).join('\n') ;
+			q.db.exec(query, err => {
+				if(err !== null)
+					reject(err) ;
+				resolve() ;
+			}) ;
+		}) ;
+	}) ;
+}
+
+/**
+ * Validate the options given when adding jobs that say when and how they run
+ * @param {Object} options Options passed to add() or addMany()
+ * @throws {Error} If an option is invalid
+ * @return {{runAt: number, priority: number, timeout: number|null, expireAt: number|null, attempts: number,
+ * errors: PersistentQueue~JobError[], lastError: string|null}} When the jobs are due, their priority, their own
+ * timeout, when they expire, and the failed attempts they start with
+ */
+function scheduleOptions(options) {
+	let runAt = 0 ;
+	if(options.runAt !== undefined)
+		runAt = (options.runAt instanceof Date) ? options.runAt.getTime() : options.runAt ;
+	else if(options.delay !== undefined)
+		runAt = Date.now() + options.delay ;
+
+	if(typeof runAt !== 'number' || isNaN(runAt))
+		throw new Error('Invalid delay or runAt option.  Must be a number of milliseconds or a Date') ;
+
+	const priority = (options.priority === undefined) ? 0 : options.priority ;
+	if(!Number.isInteger(priority))
+		throw new Error('Invalid priority option.  Must be an integer') ;
+
+	const timeout = (options.timeout === undefined) ? null : options.timeout ;
+	if(timeout !== null && (typeof timeout !== 'number' || timeout <= 0))
+		throw new Error('Invalid timeout option.  Must be a number > 0') ;
+
+	let expireAt = null ;
+	if(options.expireAt !== undefined)
+		expireAt = (options.expireAt instanceof Date) ? options.expireAt.getTime() : options.expireAt ;
+	else if(options.ttl !== undefined)
+		expireAt = (typeof options.ttl === 'number') ? Date.now() + options.ttl : NaN ;
+
+	if(expireAt !== null && (typeof expireAt !== 'number' || isNaN(expireAt)))
+		throw new Error('Invalid ttl or expireAt option.  Must be a number of milliseconds or a Date') ;
+
+	const attempts = (options.attempts === undefined) ? 0 : options.attempts ;
+	if(!Number.isInteger(attempts) || attempts < 0)
+		throw new Error('Invalid attempts option.  Must be an integer >= 0') ;
+
+	const errors = (options.errors === undefined) ? [] : options.errors ;
+	if(!Array.isArray(errors) || errors.some(error => error === null || typeof error !== 'object'))
+		throw new Error('Invalid errors option.  Must be an array of objects') ;
+	const lastError = errors.length ? errors[errors.length - 1].error : null ;
+
+	return { runAt: runAt, priority: priority, timeout: timeout, expireAt: expireAt, attempts: attempts, errors: errors, lastError: (lastError === undefined) ? null : lastError } ;
+}
+
+/**
+ * Update the given columns of a job in the database
+ * @param {PersistentQueue} q Instance to work with
+ * @param {number} id Job id number to update
+ * @param {Object} values Column names and their new values
+ * @return {Promise}
+ */
+function updateJob(q, id, values) {
+	return new Promise((resolve, reject) => {
+		if(q.db === null)
+			reject('Open queue database before updating jobs') ;
+
+		const names = Object.keys(values) ;
+		const params = names.map(name => values[name]).concat(id) ;
+		q.db.run(`UPDATE ${q.table} SET ${names.map(name => name + ' = ?').join(', ')} WHERE id = ?`, params, function(err) {
+			if(err !== null)
+				reject(err) ;
+
+			if(this.changes) // Number of rows affected (0 == false)
+				resolve(id) ;
+
+			reject(missingError('Job id '+id+' was not updated in queue')) ;
+		}) ;
+	}) ;
+}
+
+/**
+ * Run the given statements in a single transaction, rolling back all of them if any fail
+ * @param {PersistentQueue} q Instance to work with
+ * @param {Array<(Array|function(): Array)>} statements Pairs of sql and its parameters to run in order, or
+ * functions that return them when their turn comes
+ * @return {Promise<Array<{lastID: number, changes: number}>>} The result of each statement
+ */
+function transaction(q, statements) {
+
+	const run = (sql, params) => new Promise((resolve, reject) => {
+		// Let the transaction's own statements past holdDuringTransactions()
+		const held = q.held ;
+		q.held = null ;
+		try {
+			q.db.run(sql, params, function(err) {
+				if(err !== null) {
+					reject(err) ;
+					return ;
+				}
+				resolve({ lastID: this.lastID, changes: this.changes }) ;
+			}) ;
+		}
+		finally {
+			q.held = held ;
+		}
+	}) ;
+
+	// SQLite transactions can't be nested, so wait for the one underway to finish first
+	const result = q.transactions.then(() => {
+		if(q.db === null)
+			throw new Error('Open queue database before running a transaction') ;
+
+		let results = [] ;
+		q.held = [] ;
+		return statements.reduce((previous, statement) => {
+			return previous.then(() => (typeof statement === 'function') ? statement() : statement)
+			.then(statement => run(statement[0], statement[1]))
+			.then(result => {
+				results.push(result) ;
+			}) ;
+		}, run('BEGIN', []))
+		.then(() => run('COMMIT', []))
+		.then(() => {
+			releaseHeld(q) ;
+			return results ;
+		})
+		.catch(err => run('ROLLBACK', []).then(() => {
+			releaseHeld(q) ;
+			throw err ;
+		}, () => {
+			releaseHeld(q) ;
+			throw err ;
+		})) ;
+	}) ;
+	q.transactions = result.catch(() => {}) ;
+	return result ;
+}
+
+/**
+ * Make statements issued on the queue's db connection while a transaction is underway wait until it has finished.
+ * They would otherwise run inside it, be rolled back with it, or (like VACUUM) fail there
+ * @param {PersistentQueue} q Instance to work with
+ */
+function holdDuringTransactions(q) {
+	const db = q.db ;
+	['run', 'get', 'all', 'each', 'exec'].forEach(method => {
+		db[method] = function() {
+			if(q.held === null)
+				return sqlite3.Database.prototype[method].apply(db, arguments) ;
+			q.held.push([method, arguments]) ;
+			return db ;
+		} ;
+	}) ;
+}
+
+/**
+ * Issue the statements held back while a transaction was underway, in the order they were issued
+ * @param {PersistentQueue} q Instance to work with
+ */
+function releaseHeld(q) {
+	const held = q.held ;
+	q.held = null ;
+	if(held !== null)
+		held.forEach(statement => sqlite3.Database.prototype[statement[0]].apply(q.db, statement[1])) ;
+}
+
+/**
+ * Atomically move a job out of the queue and into the dead-letter table
+ * @param {PersistentQueue} q Instance to work with
+ * @param {PersistentQueue~Job} job The job that has run out of retries
+ * @param {number} attempts How many times the job failed
+ * @param {PersistentQueue~JobError[]} errors The history of failures for the job
+ * @return {Promise}
+ */
+function killJob(q, job, attempts, errors) {
+	if(q.debug) console.log('Moving job '+job.id+' to '+q.tableDead) ;
+	return transaction(q, [
+		[`INSERT INTO ${q.tableDead} (id, job, attempts, errors, failed_at, priority)
+			SELECT id, job, ?, ?, ?, priority FROM ${q.table} WHERE id = ?`, [attempts, JSON.stringify(errors), Date.now(), job.id]],
+		[`DELETE FROM ${q.table} WHERE id = ?`, [job.id]]
+	])
+	.then(results => {
+		if(!results[1].changes)
+			throw missingError('Job id '+job.id+' was not removed from queue') ;
+	}) ;
+}
+
+/**
+ * Atomically remove finished jobs from the queue, recording them in the history table when the keepCompleted
+ * option is set (and pruning it to the retention limits)
+ * @param {PersistentQueue} q Instance to work with
+ * @param {PersistentQueue~Job[]} jobs The finished jobs
+ * @param {Array} results The result of each job, if any
+ * @return {Promise}
+ */
+function completeJobs(q, jobs, results) {
+	const now = Date.now() ;
+	const ids = jobs.map(job => job.id) ;
+	let statements = [] ;
+	if(q.keepCompleted) {
+		const sql = `INSERT INTO ${q.tableCompleted} (id, job, result, attempts, priority, created_at, started_at, finished_at, duration)
+			SELECT id, job, ?, attempts, priority, created_at, ?, ?, ? FROM ${q.table} WHERE id = ?` ;
+		jobs.forEach((job, i) => {
+			const times = timing(q, job, now) ;
+			const result = (results[i] === undefined) ? null : q.serializer.encode(results[i]) ;
+			statements.push([sql, [result, times.startedAt, now, times.duration, job.id]]) ;
+		}) ;
+	}
+	// Keep well under the limit on the number of parameters in a statement
+	const deletes = statements.length ;
+	for(let i = 0 ; i < ids.length ; i += 500) {
+		const chunk = ids.slice(i, i + 500) ;
+		statements.push(['DELETE FROM ' + q.table + ' WHERE id IN (' + chunk.map(() => '?').join(',') + ')', chunk]) ;
+	}
+	const pruned = statements.length ;
+	if(q.keepCompleted)
+		statements = statements.concat(pruneStatements(q, q.keepCompleted)) ;
+
+	return transaction(q, statements)
+	.then(results => {
+		const removed = results.slice(deletes, pruned).reduce((changes, result) => changes + result.changes, 0) ;
+		if(removed !== ids.length)
+			throw missingError((ids.length === 1) ? 'Job id '+ids[0]+' was not removed from queue' : 'Only '+removed+' of '+ids.length+' jobs were removed from queue') ;
+	}) ;
+}
+
+/**
+ * Statements to delete the completed jobs beyond the given retention limits
+ * @param {PersistentQueue} q Instance to work with
+ * @param {PersistentQueue~Retention} retention How long, and how many, completed jobs to keep
+ * @return {Array<Array>} Pairs of sql and its parameters
+ */
+function pruneStatements(q, retention) {
+	let statements = [] ;
+	if(retention.maxAge !== undefined && retention.maxAge !== Infinity)
+		statements.push([`DELETE FROM ${q.tableCompleted} WHERE finished_at < ?`, [Date.now() - retention.maxAge]]) ;
+	if(retention.maxCount !== undefined && retention.maxCount !== Infinity) {
+		statements.push([`DELETE FROM ${q.tableCompleted} WHERE id IN
+			(SELECT id FROM ${q.tableCompleted} ORDER BY finished_at DESC, id DESC LIMIT -1 OFFSET ?)`, [retention.maxCount]]) ;
+	}
+	return statements ;
+}
+
+/**
+ * Convert a row of the completed job history table into a completed job
+ * @param {PersistentQueue} q Instance to work with
+ * @param {Object} row Row from the history table
+ * @return {PersistentQueue~CompletedJob}
+ */
+function toCompletedJob(q, row) {
+	return {
+		id: row.id,
+		job: q.serializer.decode(row.job),
+		result: (row.result === null) ? undefined : q.serializer.decode(row.result),
+		attempts: row.attempts,
+		priority: row.priority,
+		createdAt: row.created_at,
+		startedAt: row.started_at,
+		finishedAt: row.finished_at,
+		duration: row.duration
+	} ;
+}
+
+/**
+ * Atomically move jobs that can't be decoded out of the queue and into the quarantine table
+ * @param {PersistentQueue} q Instance to work with
+ * @param {Array<{row: Object, error: Error}>} unreadable The rows of the queue table, and why they couldn't be decoded
+ * @return {Promise}
+ */
+function quarantineJobs(q, unreadable) {
+	const now = Date.now() ;
+	let statements = [] ;
+	unreadable.forEach(bad => {
+		statements.push([`INSERT INTO ${q.tableQuarantine} (id, job, error, quarantined_at)
+			SELECT id, job, ?, ? FROM ${q.table} WHERE id = ?`, [bad.error.message, now, bad.row.id]]) ;
+		statements.push([`DELETE FROM ${q.table} WHERE id = ?`, [bad.row.id]]) ;
+	}) ;
+
+	return transaction(q, statements)
+	.then(results => {
+		unreadable.forEach((bad, i) => {
+			// Another process may have quarantined it first
+			if(!results[i * 2 + 1].changes)
+				return ;
+			q.length-- ;
+			q.emit('quarantined', { id: bad.row.id, error: bad.error, quarantinedAt: now }) ;
+		}) ;
+	}) ;
+}
+
+/**
+ * Set aside room in the queue for jobs about to be added, applying the overflow option if it's full
+ * @param {PersistentQueue} q Instance to work with
+ * @param {number} count How many jobs are being added
+ * @return {Promise<number>} Resolves to the room set aside, to be given back to freeRoom() once they are added
+ */
+function makeRoom(q, count) {
+	if(q.maxLength === undefined)
+		return Promise.resolve(0) ;
+	if(count > q.maxLength)
+		return Promise.reject(new Error('Can\'t add '+count+' jobs to a queue with a maxLength of '+q.maxLength)) ;
+
+	// Adds already waiting go first
+	if(q.waitingForRoom.length === 0 && q.length + q.reserved + count <= q.maxLength) {
+		q.reserved += count ;
+		return Promise.resolve(count) ;
+	}
 
-		q.db.get('SELECT counter FROM ' + table_count + ' LIMIT 1', (err, row) => {
-			if(err !== null)
+	if(q.overflow === 'wait')
+		return new Promise((resolve, reject) => q.waitingForRoom.push({ count: count, resolve: resolve, reject: reject })) ;
+
+	if(q.overflow === 'reject')
+		return Promise.reject(new Error('Queue is full.  It holds its maxLength of '+q.maxLength+' jobs')) ;
+
+	q.reserved += count ;
+	// One drop at a time, so each sees the jobs dropped before it
+	const dropped = q.dropping.then(() => dropOldest(q, q.length + q.reserved - q.maxLength)) ;
+	q.dropping = dropped.catch(() => {}) ;
+	return dropped
+	.then(() => count, err => {
+		freeRoom(q, count) ;
+		throw err ;
+	}) ;
+}
+
+/**
+ * Give back the room set aside by makeRoom()
+ * @param {PersistentQueue} q Instance to work with
+ * @param {number} count The room set aside
+ */
+function freeRoom(q, count) {
+	if(count === 0)
+		return ;
+	q.reserved -= count ;
+	checkCapacity(q) ;
+}
+
+/**
+ * Delete the oldest jobs waiting in the queue, to make room for new ones
+ * @param {PersistentQueue} q Instance to work with
+ * @param {number} count How many jobs to delete
+ * @return {Promise}
+ */
+function dropOldest(q, count) {
+	if(count <= 0)
+		return Promise.resolve() ;
+
+	return new Promise((resolve, reject) => {
+		const [where, params] = pending(q) ;
+		q.db.all(`SELECT id FROM ${q.table} WHERE ${where} ORDER BY id ASC LIMIT ?`, params.concat(count), (err, rows) => {
+			if(err !== null) {
 				reject(err) ;
+				return ;
+			}
+			if(rows.length < count) {
+				reject(new Error('Queue is full of jobs in progress, so none can be dropped')) ;
+				return ;
+			}
+			resolve(deleteJobs(q, rows.map(row => row.id))) ;
+		}) ;
+	}) ;
+}
 
-			// Set length property to number of rows in sqlite table
-			q.length = row.counter ;
-			resolve(this.length) ;
+/**
+ * Emit 'full' when the queue reaches its maxLength, and 'drained' when it has room again, and let adds that
+ * are waiting for room go ahead
+ * @param {PersistentQueue} q Instance to work with
+ */
+function checkCapacity(q) {
+	if(q.maxLength === undefined)
+		return ;
+
+	if(!q.full && q.length >= q.maxLength) {
+		q.full = true ;
+		q.emit('full', { length: q.length, maxLength: q.maxLength }) ;
+	}
+	// Room set aside for adds underway doesn't count, so dropping the oldest jobs to make room isn't 'drained'
+	else if(q.full && q.length + q.reserved < q.maxLength) {
+		q.full = false ;
+		q.emit('drained', { length: q.length, maxLength: q.maxLength }) ;
+	}
+
+	while(q.waitingForRoom.length && q.length + q.reserved + q.waitingForRoom[0].count <= q.maxLength) {
+		const waiter = q.waitingForRoom.shift() ;
+		q.reserved += waiter.count ;
+		waiter.resolve(waiter.count) ;
+	}
+}
+
+/**
+ * Whether a job has expired
+ * @param {PersistentQueue~Job} job
+ * @param {number} now The current time (milliseconds since the epoch)
+ * @return {boolean}
+ */
+function hasExpired(job, now) {
+	return job.expireAt !== null && job.expireAt !== undefined && job.expireAt <= now ;
+}
+
+/**
+ * Delete expired jobs from the queue in a single transaction, emitting an 'expired' event for each
+ * @param {PersistentQueue} q Instance to work with
+ * @param {PersistentQueue~Job[]} jobs The expired jobs
+ * @return {Promise}
+ */
+function expireJobs(q, jobs) {
+	const now = Date.now() ;
+	return transaction(q, jobs.map(job => [`DELETE FROM ${q.table} WHERE id = ?`, [job.id]]))
+	.then(results => {
+		jobs.forEach((job, i) => {
+			// Another process may have expired it first
+			if(!results[i].changes)
+				return ;
+			q.length-- ;
+			q.emit('expired', { id: job.id, job: job.job, expireAt: job.expireAt, expiredAt: now }) ;
 		}) ;
 	}) ;
 }
 
-function searchQueue(q, job) {
+/**
+ * Add context to an error, so it can be acted on
+ * @param {Error|string} err The error, or a message
+ * @param {string} operation What the queue was doing, such as 'done' or 'hydrate'
+ * @param {Object} [context] Other properties to add, such as the jobId
+ * @return {Error}
+ */
+function queueError(err, operation, context) {
+	if(!(err instanceof Error))
+		err = new Error(String(err)) ;
+	err.operation = operation ;
+	return Object.assign(err, context) ;
+}
 
-	if(q.debug) console.log('SearchQueue') ;
+/**
+ * Convert a row of the dead-letter table into a dead job
+ * @param {PersistentQueue} q Instance to work with
+ * @param {Object} row Row from the dead-letter table
+ * @return {PersistentQueue~DeadJob}
+ */
+function toDeadJob(q, row) {
+	return {
+		id: row.id,
+		job: q.serializer.decode(row.job),
+		attempts: row.attempts,
+		errors: JSON.parse(row.errors || '[]'),
+		failedAt: row.failed_at,
+		priority: row.priority
+	} ;
+}
+
+/**
+ * Calculate how long to wait before retrying a job, doubling (by default) with each attempt
+ * @param {PersistentQueue} q Instance to work with
+ * @param {number} attempts How many times the job has failed
+ * @return {number} Delay in milliseconds
+ */
+function retryDelay(q, attempts) {
+	const backoff = q.backoff ;
+	let delay = Math.min(backoff.delay * Math.pow(backoff.factor, attempts - 1), backoff.maxDelay) ;
+	// Randomly spread the delay so jobs that failed together don't all retry together
+	delay += delay * backoff.jitter * (Math.random() * 2 - 1) ;
+	return Math.round(delay) ;
+}
+
+/**
+ * Compare jobs by the order they run in: highest priority first, then lowest id
+ * @param {PersistentQueue~Job} a
+ * @param {PersistentQueue~Job} b
+ * @return {number} Negative if a runs first, positive if b runs first
+ */
+function compareJobs(a, b) {
+	return ((b.priority || 0) - (a.priority || 0)) || (a.id - b.id) ;
+}
+
+/**
+ * Put a job back in the in-memory queue, ahead of any jobs that run after it
+ * @param {PersistentQueue} q Instance to work with
+ * @param {PersistentQueue~Job} job The job to requeue
+ */
+function requeueJob(q, job) {
+	let i = q.queue.findIndex(j => compareJobs(j, job) > 0) ;
+	q.queue.splice((i === -1) ? q.queue.length : i, 0, job) ;
+}
+
+/**
+ * Add a newly queued job to the in-memory queue if it runs before the last job already loaded from the db,
+ * so the in-memory queue always holds the jobs that run next.  Otherwise it is loaded with a later batch
+ * @param {PersistentQueue} q Instance to work with
+ * @param {PersistentQueue~Job} job The job that was queued
+ */
+function insertJob(q, job) {
+	// Consumers sharing the queue must claim a job before loading it
+	if(q.leaseTimeout)
+		return ;
+
+	if(q.queue.length === 0 || compareJobs(job, q.queue[q.queue.length - 1]) > 0)
+		return ;
+
+	requeueJob(q, job) ;
+	// Keep to the batch size.  The job bumped off the end is still in the db, and will be loaded again later
+	if(q.queue.length > q.batchSize)
+		q.queue.pop() ;
+}
+
+/**
+ * Convert a row of the queue table to a job
+ * @param {PersistentQueue} q Instance to work with
+ * @param {Object} row Row of the queue table
+ * @throws {Error} If the stored job can't be decoded
+ * @return {PersistentQueue~Job}
+ */
+function toJob(q, row) {
+	return {
+		id: row.id,
+		job: q.serializer.decode(row.job),
+		attempts: row.attempts,
+		lastError: row.last_error,
+		errors: JSON.parse(row.errors || '[]'),
+		priority: row.priority,
+		key: row.dedup_key,
+		createdAt: row.created_at,
+		runAt: row.run_at,
+		timeout: row.timeout,
+		expireAt: row.expire_at,
+		lastProgress: (row.progress === null) ? undefined : q.serializer.decode(row.progress)
+	} ;
+}
+
+/**
+ * Compare two encoded jobs, which the serializer may have encoded as strings or Buffers
+ * @param {string|Buffer} a
+ * @param {string|Buffer} b
+ * @return {boolean}
+ */
+function sameEncoding(a, b) {
+	return Buffer.isBuffer(a) ? Buffer.isBuffer(b) && a.equals(b) : a === b ;
+}
+
+/**
+ * SQL condition for the jobs waiting to run.  That excludes the jobs in progress here, and those claimed
+ * by another consumer sharing the queue (until their lease expires)
+ * @param {PersistentQueue} q Instance to work with
+ * @return {Array} The condition and its parameters
+ */
+function pending(q) {
+	if(!q.leaseTimeout)
+		return [notActive(q), []] ;
+
+	return [
+		notActive(q) + ' AND (lease_owner IS NULL OR lease_owner = ? OR lease_expires <= ?)',
+		[q.consumerId, Date.now()]
+	] ;
+}
+
+/**
+ * Delete the given jobs from the db in a single transaction, and from the in-memory queue.  They are taken out
+ * of the in-memory queue straight away, so none of them is started while the transaction waits its turn, and
+ * any that were started already are left to finish
+ * @param {PersistentQueue} q Instance to work with
+ * @param {number[]} ids Job id numbers to delete
+ * @return {Promise<number[]>} The ids that were deleted
+ */
+function deleteJobs(q, ids) {
+	let removed = [] ;
+	const take = chosen => {
+		removed = removed.concat(q.queue.filter(job => chosen.has(job.id))) ;
+		q.queue = q.queue.filter(job => !chosen.has(job.id)) ;
+	} ;
+	take(new Set(ids)) ;
+
+	// Keep well under the limit on the number of parameters in a statement
+	let statements = [] ;
+	let started = new Set() ;
+	for(let i = 0 ; i < ids.length ; i += 500) {
+		const chunk = ids.slice(i, i + 500) ;
+		// Built when its turn comes, to leave out the jobs in progress by then, and take out again any loaded
+		// from the db in the meantime
+		statements.push(() => {
+			take(new Set(chunk)) ;
+			chunk.filter(id => q.active.has(id)).forEach(id => started.add(id)) ;
+			return ['DELETE FROM ' + q.table + ' WHERE id IN (' + chunk.map(() => '?').join(',') + ') AND ' + notActive(q), chunk] ;
+		}) ;
+	}
+
+	return transaction(q, statements)
+	.then(results => {
+		ids = ids.filter(id => !started.has(id)) ;
+		q.length -= results.reduce((changes, result) => changes + result.changes, 0) ;
+		if(q.debug) console.log('Deleted '+ids.length+' jobs from db') ;
+
+		q.emit('deleteMany', { ids: ids }) ;
+		if(q.run)
+			q.emit('trigger_next') ;
+		else
+			q.empty = (q.length === 0) ;
+		return ids ;
+	}, err => {
+		// They're still in the db, so put them back
+		removed.filter(job => !q.queue.some(j => j.id === job.id)).forEach(job => requeueJob(q, job)) ;
+		throw err ;
+	}) ;
+}
+
+/**
+ * SQL condition excluding the jobs in progress, which are still in the db
+ * @param {PersistentQueue} q Instance to work with
+ * @return {string}
+ */
+function notActive(q) {
+	return q.active.size ? 'id NOT IN (' + Array.from(q.active.keys()).join(',') + ')' : '1' ;
+}
+
+/**
+ * Arm a timer to trigger the next job when the earliest delayed job in the db becomes due
+ * @param {PersistentQueue} q Instance to work with
+ * @return {Promise}
+ */
+function scheduleWake(q) {
+	if(q.debug) console.log('ScheduleWake') ;
 	return new Promise((resolve, reject) => {
-		if(q.db === null)
-			reject('Open queue database before starting queue') ;
+		if(q.db === null) {
+			reject('Open queue database before scheduling jobs') ;
+			return ;
+		}
 
-		q.db.all(`SELECT id FROM ${table} where job = ? ORDER BY id ASC`, JSON.stringify(job), (err, jobs) => {
-			if(err !== null)
+		// Jobs leased by another consumer are free again once the lease expires
+		let query = q.leaseTimeout ?
+			`SELECT MIN(MAX(run_at, IFNULL(lease_expires, 0))) AS run_at FROM ${q.table} WHERE lease_owner IS NULL OR lease_owner != ?` :
+			'SELECT MIN(run_at) AS run_at FROM ' + q.table + ' WHERE ' + notActive(q) ;
+		q.db.get(query, q.leaseTimeout ? [q.consumerId] : [], (err, row) => {
+			if(err !== null) {
 				reject(err) ;
+				return ;
+			}
 
-			jobs = jobs.map(j => j.id) ;
+			clearTimeout(q.timer) ;
+			q.timer = null ;
+			if(row.run_at !== null || q.leaseTimeout) {
+				// setTimeout can't wait longer than about 24.8 days, so wake up early and check again
+				let wait = (row.run_at === null) ? Infinity : Math.max(row.run_at - Date.now(), 0) ;
+				// Other consumers may add jobs at any time, so check the db at least every pollInterval
+				wait = Math.min(wait, q.leaseTimeout ? q.pollInterval : 0x7FFFFFFF) ;
+				if(q.debug) console.log('Next job due in '+wait+'ms') ;
+				q.timer = setTimeout(() => wake(q), wait) ;
+			}
+			resolve() ;
+		}) ;
+	}) ;
+}
 
-			if(q.debug) {
-				for(let i = 0 ; i < jobs.length ; i++)
-					if(q.debug) console.log(JSON.stringify(jobs[i])) ;
+/**
+ * Wake the queue when the timer set by scheduleWake fires.  Where the queue is shared with other
+ * consumers, first count the jobs in the db, as jobs they added will not have been counted
+ * @param {PersistentQueue} q Instance to work with
+ */
+function wake(q) {
+	q.timer = null ;
+	if(!q.leaseTimeout) {
+		q.emit('trigger_next') ;
+		return ;
+	}
+
+	countQueue(q)
+	.then(() => {
+		if(q.length > 0)
+			q.empty = false ;
+		q.emit('trigger_next') ;
+	})
+	.catch(err => {
+		q.emit('error', queueError(err, 'poll')) ;
+	}) ;
+}
 
+/**
+ * Load the rate limiter's buckets saved in the db, so a restarted queue carries on where it left off
+ * @param {PersistentQueue} q Instance to work with
+ * @return {Promise}
+ */
+function loadBuckets(q) {
+	return new Promise((resolve, reject) => {
+		q.db.all(`SELECT * FROM ${q.tableLimit}`, (err, rows) => {
+			if(err !== null) {
+				reject(err) ;
+				return ;
 			}
-			resolve(jobs) ;
+
+			q.buckets.clear() ;
+			rows.forEach(row => q.buckets.set(row.key, { key: row.key, tokens: row.tokens, updatedAt: row.updated_at })) ;
+			resolve() ;
 		}) ;
 	}) ;
 }
 
 /**
- * This function will load from the database, 'size' number of records into queue array
- * @param {PersistentQueue} q Instance of queue
- * @param size How many records to hydrate
+ * The rate limit bucket for a job, topped up with the tokens it has earned since it was last counted
+ * @param {PersistentQueue} q Instance to work with
+ * @param {PersistentQueue~Job} job The job to start
+ * @param {number} now The current time (milliseconds since the epoch)
+ * @return {{key: string, tokens: number, updatedAt: number}}
  */
-function hydrateQueue(q, size) { // eslint-disable-line no-unused-vars
+function refillBucket(q, job, now) {
+	const key = q.rateLimit.key ? String(q.rateLimit.key(job)) : '' ;
+	const bucket = q.buckets.get(key) || { key: key, tokens: q.rateLimit.max, updatedAt: now } ;
+	const earned = Math.max(now - bucket.updatedAt, 0) * q.rateLimit.max / q.rateLimit.interval ;
+	bucket.tokens = Math.min(bucket.tokens + earned, q.rateLimit.max) ;
+	bucket.updatedAt = now ;
+	q.buckets.set(key, bucket) ;
+	return bucket ;
+}
 
-	if(q.debug) console.log('HydrateQueue') ;
-	return new Promise((resolve, reject) => {
-		if(q.db === null)
-			reject('Open queue database before starting queue') ;
+/**
+ * Take up to count jobs from the in-memory queue that the rate limit allows to start, saving the tokens
+ * they used in the db
+ * @param {PersistentQueue} q Instance to work with
+ * @param {number} count How many jobs to take
+ * @return {PersistentQueue~Job[]}
+ */
+function takeJobs(q, count) {
+	if(q.rateLimit === null)
+		return q.queue.splice(0, count) ;
+
+	const now = Date.now() ;
+	let jobs = [] ;
+	let used = new Set() ;
+	// Jobs held back by their key's limit let those behind them with other keys go first
+	for(let i = 0 ; i < q.queue.length && jobs.length < count ; ) {
+		const bucket = refillBucket(q, q.queue[i], now) ;
+		if(bucket.tokens < 1) {
+			i++ ;
+			continue ;
+		}
+		bucket.tokens-- ;
+		used.add(bucket) ;
+		jobs.push(q.queue.splice(i, 1)[0]) ;
+	}
 
-		q.db.all('SELECT * FROM ' + table + ' ORDER BY id ASC LIMIT ' + q.batchSize, (err, jobs) => {
+	used.forEach(bucket => {
+		q.db.run(`INSERT OR REPLACE INTO ${q.tableLimit} (key, tokens, updated_at) VALUES (?, ?, ?)`, [bucket.key, bucket.tokens, bucket.updatedAt], err => {
 			if(err !== null)
-				reject(err) ;
+				q.emit('error', queueError(err, 'rateLimit')) ;
+		}) ;
+	}) ;
+	return jobs ;
+}
 
-			if(q.debug) {
-				for(let i = 0 ; i < jobs.length ; i++)
-					if(q.debug) console.log(JSON.stringify(jobs[i])) ;
+/**
+ * Arm a timer to trigger the next job when the rate limit next allows one of those in memory to start
+ * @param {PersistentQueue} q Instance to work with
+ */
+function scheduleLimit(q) {
+	const now = Date.now() ;
+	const tokens = Math.max.apply(null, q.queue.map(job => refillBucket(q, job, now).tokens)) ;
+	const wait = Math.ceil((1 - tokens) * q.rateLimit.interval / q.rateLimit.max) ;
+	if(q.debug) console.log('Rate limited for '+wait+'ms') ;
+
+	clearTimeout(q.limitTimer) ;
+	q.limitTimer = setTimeout(() => {
+		q.limitTimer = null ;
+		q.emit('trigger_next') ;
+	}, wait) ;
+}
 
-			}
-			// Update our queue array (converting stored string back to object using JSON.parse
-			q.queue = jobs.map(job => {
-				try {
-					return { id: job.id, job: JSON.parse(job.job)} ;
-				}
-				catch(err) {
-					reject(err) ;
-				}
-			}) ;
+/**
+ * Put jobs taken from the in-memory queue into progress, recording when they started
+ * @param {PersistentQueue} q Instance to work with
+ * @param {PersistentQueue~Job[]} jobs The jobs to start
+ * @return {PersistentQueue~Job[]} The jobs in progress.  Each attempt at a job is a new object, whose functions
+ * only act on that attempt
+ */
+function startJobs(q, jobs) {
+	const now = Date.now() ;
+	jobs = jobs.map(job => Object.assign({}, job)) ;
+	jobs.forEach(job => {
+		q.active.set(job.id, job) ;
+		q.startedAt.set(job.id, now) ;
+		job.progress = value => forAttempt(q, job, () => q.progress(job.id, value)) ;
+		job.done = result => forAttempt(q, job, () => q.done(job.id, result)) ;
+		job.fail = err => forAttempt(q, job, () => q.fail(job.id, err)) ;
+		job.abort = () => forAttempt(q, job, () => q.abort(job.id)) ;
+		if(job.createdAt !== null && job.createdAt !== undefined) {
+			q.metrics.waits++ ;
+			q.metrics.waitTime += now - job.createdAt ;
+		}
 
-			resolve(jobs) ;
+		const timeout = (job.timeout === null || job.timeout === undefined) ? q.timeout : job.timeout ;
+		if(timeout !== undefined)
+			q.timeouts.set(job.id, setTimeout(() => timeoutJob(q, job, timeout), timeout)) ;
+	}) ;
+
+	// Recorded in the db too, so a job still in progress when its process died is known to have stalled
+	jobs.forEach(job => q.unrecorded.add(job.id)) ;
+	if(q.recordTimer === null) {
+		q.recordTimer = setTimeout(() => recordStarts(q), recordStartsDelay) ;
+		q.recordTimer.unref() ;
+	}
+
+	jobs.forEach(job => q.emit('active', { id: job.id, job: job.job, startedAt: now })) ;
+	return jobs ;
+}
+
+/**
+ * Record in the db when the jobs still in progress were started, in one statement per start time.  Jobs
+ * finished in the meantime are skipped, as their rows are gone or were reset by then
+ * @param {PersistentQueue} q Instance to work with
+ */
+function recordStarts(q) {
+	clearTimeout(q.recordTimer) ;
+	q.recordTimer = null ;
+	const byTime = new Map() ;
+	q.unrecorded.forEach(id => {
+		if(!q.active.has(id) || q.finishing.has(id))
+			return ;
+		const startedAt = q.startedAt.get(id) ;
+		byTime.set(startedAt, (byTime.get(startedAt) || []).concat(id)) ;
+	}) ;
+	q.unrecorded.clear() ;
+
+	byTime.forEach((ids, startedAt) => {
+		q.db.run(`UPDATE ${q.table} SET started_at = ? WHERE id IN (${ids.map(() => '?').join(',')})`, [startedAt].concat(ids), err => {
+			if(err !== null)
+				q.emit('error', queueError(err, 'start', { jobIds: ids })) ;
 		}) ;
 	}) ;
 }
 
 /**
- * This function will remove the given or current job from the database and in-memory array
+ * Act on an attempt at a job, unless a later attempt has taken its place or it is already finishing
+ * @param {PersistentQueue} q Instance to work with
+ * @param {PersistentQueue~Job} job The attempt, as returned by startJobs()
+ * @param {function(): (Promise|*)} action
+ * @return {Promise} Settles with the action, or rejects if it throws or the attempt is no longer in progress
+ */
+function forAttempt(q, job, action) {
+	if(q.active.get(job.id) !== job || q.finishing.has(job.id))
+		return Promise.reject(new Error('This attempt at job id '+job.id+' is no longer in progress')) ;
+	try {
+		return Promise.resolve(action()) ;
+	}
+	catch(err) {
+		return Promise.reject(err) ;
+	}
+}
+
+/**
+ * Fail a job that has been in progress for longer than its timeout, so its slot is freed for the next job
+ * @param {PersistentQueue} q Instance to work with
+ * @param {PersistentQueue~Job} job The job in progress
+ * @param {number} timeout Milliseconds the job was allowed
+ */
+function timeoutJob(q, job, timeout) {
+	q.timeouts.delete(job.id) ;
+	// done(), fail() or abort() was called in time, and is still being recorded
+	if(q.active.get(job.id) !== job || q.finishing.has(job.id))
+		return ;
+
+	const timedOutAt = Date.now() ;
+	q.emit('timeout', Object.assign({ id: job.id, job: job.job, timeout: timeout, timedOutAt: timedOutAt }, timing(q, job, timedOutAt))) ;
+	job.fail(new Error('Job timed out after '+timeout+'ms'))
+	.catch(err => {
+		q.emit('error', err) ;
+	}) ;
+}
+
+/**
+ * When a job in progress was started, and how long it has been running
+ * @param {PersistentQueue} q Instance to work with
+ * @param {PersistentQueue~Job} job The job in progress
+ * @param {number} at The time to measure the duration to (milliseconds since the epoch)
+ * @return {{startedAt: number|null, duration: number|null}}
+ */
+function timing(q, job, at) {
+	const startedAt = q.startedAt.has(job.id) ? q.startedAt.get(job.id) : null ;
+	return { startedAt: startedAt, duration: (startedAt === null) ? null : at - startedAt } ;
+}
+
+/**
+ * The 'completed' event for a finished job
+ * @param {PersistentQueue} q Instance to work with
+ * @param {PersistentQueue~Job} job The finished job, before its concurrency slot is released
+ * @param {*} [result] The result of the job
+ * @return {Object}
+ */
+function completedEvent(q, job, result) {
+	const finishedAt = Date.now() ;
+	return Object.assign({ id: job.id, job: job.job, result: result, finishedAt: finishedAt }, timing(q, job, finishedAt)) ;
+}
+
+/**
+ * Claim the given job from those in progress to be finished, so it can only be finished once
+ * @param {PersistentQueue} q Instance to work with
+ * @param {number} [id] Optional job id number, if omitted, the longest running job is claimed
+ * @throws {Error} If the job is not in progress, or is already being finished
+ * @return {PersistentQueue~Job}
+ */
+function finishJob(q, id) {
+	let job = (id === undefined) ?
+		Array.from(q.active.values()).find(j => !q.finishing.has(j.id)) :
+		q.active.get(id) ;
+	if(job === undefined || q.finishing.has(job.id))
+		throw new Error((id === undefined) ? 'No job is in progress' : 'Job id '+id+' is not in progress') ;
+	q.finishing.add(job.id) ;
+	return job ;
+}
+
+/**
+ * Let go of jobs in progress whose rows have gone from the queue table (say, deleted by another process), so they
+ * don't hold their concurrency slots forever, and move on to the next
+ * @param {PersistentQueue} q Instance to work with
+ * @param {PersistentQueue~Job[]} jobs
+ */
+function forgetJobs(q, jobs) {
+	jobs.forEach(job => releaseJob(q, job)) ;
+	q.length -= jobs.length ;
+	q.emit('trigger_next') ;
+}
+
+/**
+ * The error for a job whose row was not in the queue table when it was removed or updated
+ * @param {string} message
+ * @return {Error} With a missing property set to true
+ */
+function missingError(message) {
+	return Object.assign(new Error(message), { missing: true }) ;
+}
+
+/**
+ * Release a finished job's concurrency slot, or its place in a batch
+ * @param {PersistentQueue} q Instance to work with
+ * @param {PersistentQueue~Job} job The finished job
+ */
+function releaseJob(q, job) {
+	q.active.delete(job.id) ;
+	q.finishing.delete(job.id) ;
+	q.startedAt.delete(job.id) ;
+	clearTimeout(q.timeouts.get(job.id)) ;
+	q.timeouts.delete(job.id) ;
+	// Let drain() know once nothing is in progress
+	if(q.active.size === 0)
+		q.emit('idle') ;
+	// A batch holds its slot until every job in it is finished
+	q.batches.forEach(batch => {
+		if(batch.delete(job.id) && batch.size === 0)
+			q.batches.delete(batch) ;
+	}) ;
+}
+
+/**
+ * How many concurrency slots are taken, by jobs in progress (or batches of them when emitting 'nextBatch')
+ * @param {PersistentQueue} q Instance to work with
+ * @return {number}
+ */
+function slotsTaken(q) {
+	return q.nextBatch ? q.batches.size : q.active.size ;
+}
+
+/**
+ * This function will remove the given job from the database and in-memory array
  * @param {PersistentQueue} q Instance to work with
- * @param {number} [id] Optional job id number to remove, if omitted, remove current job at front of queue
+ * @param {number} id Job id number to remove
  * @return {Promise}
  */
 function removeJob(q, id) {
-	if(id === undefined) {
-		id = q.queue.shift().id ;
-	}
-	else {
-		// Search queue for id and remove if exists
-		for(let i=0 ; i<q.queue.length ; i++) {
-			if(q.queue[i].id === id) {
-				q.queue.splice(i, 1) ;
-				break ;
-			}
+	// Search queue for id and remove if exists
+	for(let i=0 ; i<q.queue.length ; i++) {
+		if(q.queue[i].id === id) {
+			q.queue.splice(i, 1) ;
+			break ;
 		}
 	}
 
@@ -625,16 +3549,16 @@ function removeJob(q, id) {
 
 		if(q.debug) console.log('About to delete') ;
 		if(q.debug) console.log('Removing job: '+id) ;
-		if(q.debug) console.log('From table: '+table) ;
+		if(q.debug) console.log('From table: '+q.table) ;
 		if(q.debug) console.log('With queue length: '+q.length) ;
-		q.db.run('DELETE FROM ' + table + ' WHERE id = ?', id, function(err) {
+		q.db.run('DELETE FROM ' + q.table + ' WHERE id = ?', id, function(err) {
 			if(err !== null)
 				reject(err) ;
 
 			if(this.changes) // Number of rows affected (0 == false)
 				resolve(id) ;
 
-			reject('Job id '+id+' was not removed from queue') ;
+			reject(missingError('Job id '+id+' was not removed from queue')) ;
 		}) ;
 	}) ;
 }
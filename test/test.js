@@ -276,13 +276,17 @@ describe('Open Errors', () => {
 
 describe('Maintaining queue length count', () => {
 	it('should count existing jobs in db on open', done => {
-		let q = new Queue('./test/db2.sqlite') ;
+		// Opening a db upgrades it, so open a copy to leave the fixture as it is
+		let tmpdb = os.tmpdir() + path.sep + process.pid + '-db2.sqlite' ;
+		fs.copyFileSync('./test/db2.sqlite', tmpdb) ;
+		let q = new Queue(tmpdb) ;
 		q.open()
 		.then(() => {
 			q.getLength().should.equal(1) ;
 			return q.close() ;
 		})
 		.then(() => {
+			fs.unlinkSync(tmpdb) ;
 			done() ;
 		})
 		.catch(err => {
@@ -361,11 +365,15 @@ describe('Close Errors', () => {
 }) ;
 
 describe('Invalid JSON', () => {
-	it('should throw on bad json stored in db', done => {
-		let q = new Queue('./test/db.sqlite', 1) ;
-		q.open()
-		.should.be.rejectedWith(SyntaxError) ;
-		done() ;
+	it('should throw on bad json stored in db', () => {
+		// Opening a db upgrades it, so open a copy to leave the fixture as it is
+		let tmpdb = os.tmpdir() + path.sep + process.pid + '-db.sqlite' ;
+		fs.copyFileSync('./test/db.sqlite', tmpdb) ;
+		let q = new Queue(tmpdb, 1) ;
+		return q.open()
+		.should.be.rejectedWith(SyntaxError)
+		.then(() => q.close())
+		.then(() => fs.unlinkSync(tmpdb)) ;
 	}) ;
 }) ;
 
@@ -600,3 +608,2923 @@ describe('Deleting jobs', () => {
 	}) ;
 
 }) ;
+
+describe('Concurrency', () => {
+	let q ;
+	beforeEach(done => {
+		q = new Queue(':memory:', { batchSize: 4, concurrency: 3 }) ;
+		q.open()
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	afterEach(done => {
+		q.close()
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	it('should throw when passed a concurrency less than 1', () => {
+		(() => {
+			new Queue(':memory:', 10, { concurrency: 0 }) ;
+		}).should.throw(Error) ;
+	}) ;
+
+	it('should run up to concurrency jobs at once in fifo order', done => {
+		let sequence = 0 ;
+		let running = 0 ;
+		let maxRunning = 0 ;
+		q.on('next', task => {
+			task.job.sequence.should.equal(sequence++) ;
+			maxRunning = Math.max(maxRunning, ++running) ;
+			setTimeout(() => {
+				--running ;
+				q.done(task.id) ;
+			}, 5) ;
+		}) ;
+
+		q.on('empty', () => {
+			maxRunning.should.equal(3) ;
+			sequence.should.equal(10) ;
+			q.getLength().should.equal(0) ;
+			done() ;
+		}) ;
+
+		for(let i = 0 ; i < 10 ; ++i)
+			q.add({sequence: i}) ;
+		q.start() ;
+	}) ;
+
+	it('should not block other jobs behind a slow job', done => {
+		let finished = [] ;
+		q.on('next', task => {
+			// The first job takes far longer than the rest
+			setTimeout(() => {
+				finished.push(task.job) ;
+				q.done(task.id) ;
+			}, task.job === 1 ? 100 : 1) ;
+		}) ;
+
+		q.on('empty', () => {
+			finished.should.eql([2, 3, 4, 5, 6, 1]) ;
+			done() ;
+		}) ;
+
+		for(let i = 1 ; i <= 6 ; ++i)
+			q.add(i) ;
+		q.start() ;
+	}) ;
+
+	it('should leave an aborted job at the head of the queue', done => {
+		let seen = [] ;
+		q.on('next', task => {
+			seen.push(task.id) ;
+			if(task.id !== 2 || seen.length > 3) {
+				q.done(task.id) ;
+				return ;
+			}
+
+			// Abort job 2 once the jobs either side of it have been dispatched
+			setTimeout(() => {
+				q.abort(task.id) ;
+				q.isStarted().should.equal(false) ;
+				q.queue[0].id.should.equal(2) ;
+				// Restarting the queue should pick up the aborted job first
+				q.start() ;
+			}, 10) ;
+		}) ;
+
+		q.on('empty', () => {
+			seen.should.eql([1, 2, 3, 2]) ;
+			done() ;
+		}) ;
+
+		Promise.all([q.add('1'), q.add('2'), q.add('3')])
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should reject when done(), fail() or abort() is called for a job not in progress', () => {
+		return Promise.all([
+			q.done(99).should.be.rejectedWith('Job id 99 is not in progress'),
+			q.fail(99, new Error('failed')).should.be.rejectedWith('Job id 99 is not in progress'),
+			q.abort(99).should.be.rejectedWith('Job id 99 is not in progress'),
+			q.done().should.be.rejectedWith('No job is in progress')
+		]) ;
+	}) ;
+
+	it('should reject when done() is called twice for a job', done => {
+		q.on('next', task => {
+			q.done(task.id) ;
+			q.done(task.id).should.be.rejectedWith(Error)
+			.catch(err => done(err)) ;
+		}) ;
+
+		q.on('empty', () => done()) ;
+
+		q.add('1') ;
+		q.start() ;
+	}) ;
+}) ;
+
+describe('Retrying failed jobs', () => {
+	let q ;
+	beforeEach(done => {
+		q = new Queue(':memory:', { concurrency: 2, backoff: { delay: 20, factor: 2, jitter: 0 } }) ;
+		q.open()
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	afterEach(done => {
+		q.close()
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	it('should throw when passed an invalid backoff', () => {
+		(() => {
+			new Queue(':memory:', { backoff: { factor: 0.5 } }) ;
+		}).should.throw(Error) ;
+		(() => {
+			new Queue(':memory:', { backoff: { jitter: 2 } }) ;
+		}).should.throw(Error) ;
+	}) ;
+
+	it('should retry a failed job with its attempts and last error', done => {
+		let attempts = [] ;
+		q.on('next', task => {
+			if(task.job !== 'flaky') {
+				q.done(task.id) ;
+				return ;
+			}
+
+			attempts.push(task.attempts) ;
+			if(task.attempts < 2) {
+				q.fail(task.id, new Error('failure ' + task.attempts)) ;
+				return ;
+			}
+
+			task.lastError.should.equal('failure 1') ;
+			q.done(task.id) ;
+		}) ;
+
+		q.on('empty', () => {
+			attempts.should.eql([0, 1, 2]) ;
+			done() ;
+		}) ;
+
+		q.add('flaky') ;
+		q.start() ;
+	}) ;
+
+	it('should keep processing other jobs while a failed job waits to retry', done => {
+		let order = [] ;
+		q.on('next', task => {
+			order.push(task.job) ;
+			if(task.job === 1 && task.attempts === 0)
+				q.fail(new Error('try again')) ;
+			else
+				q.done(task.id) ;
+		}) ;
+
+		q.on('empty', () => {
+			order.should.eql([1, 2, 3, 4, 1]) ;
+			done() ;
+		}) ;
+
+		for(let i = 1 ; i <= 4 ; ++i)
+			q.add(i) ;
+		q.start() ;
+	}) ;
+
+	it('should record the attempt count and error in the db', done => {
+		q.on('next', task => {
+			q.fail(task.id, 'bad gateway') ;
+			setTimeout(() => {
+				q.getSqlite3().get('SELECT attempts, last_error FROM queue WHERE id = ?', task.id, (err, row) => {
+					row.should.eql({ attempts: 1, last_error: 'bad gateway' }) ;
+					q.stop() ;
+					done() ;
+				}) ;
+			}, 5) ;
+		}) ;
+
+		q.add('1') ;
+		q.start() ;
+	}) ;
+
+	it('should back off exponentially between retries', done => {
+		let times = [] ;
+		q.on('next', task => {
+			times.push(Date.now()) ;
+			if(task.attempts < 3)
+				q.fail(task.id) ;
+			else
+				q.done(task.id) ;
+		}) ;
+
+		q.on('empty', () => {
+			(times[1] - times[0]).should.be.aboveOrEqual(20) ;
+			(times[2] - times[1]).should.be.aboveOrEqual(40) ;
+			(times[3] - times[2]).should.be.aboveOrEqual(80) ;
+			done() ;
+		}) ;
+
+		q.add('1') ;
+		q.start() ;
+	}) ;
+
+	it('should add the retry columns when opening an older queue db', done => {
+		let tmpdb = os.tmpdir() + path.sep + process.pid + '-upgrade.sqlite' ;
+		let db = new (require('sqlite3').Database)(tmpdb) ;
+		db.exec('CREATE TABLE queue (id INTEGER PRIMARY KEY ASC AUTOINCREMENT, job TEXT) ; INSERT INTO queue (job) VALUES (\'"1"\') ;', () => {
+			db.close(() => {
+				let q1 = new Queue(tmpdb) ;
+				q1.open()
+				.then(() => {
+					q1.queue[0].should.match({ id: 1, job: '1', attempts: 0, lastError: null, errors: [], priority: 0 }) ;
+					return q1.close() ;
+				})
+				.then(() => {
+					fs.unlinkSync(tmpdb) ;
+					done() ;
+				})
+				.catch(err => done(err)) ;
+			}) ;
+		}) ;
+	}) ;
+}) ;
+
+describe('Dead-letter table', () => {
+	let q ;
+	beforeEach(done => {
+		q = new Queue(':memory:', { maxRetries: 1, backoff: { delay: 1, jitter: 0 } }) ;
+		q.open()
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	afterEach(done => {
+		q.close()
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	/**
+	 * Fail every job with 'poison' data, and complete the rest
+	 */
+	function failPoison() {
+		q.on('next', task => {
+			if(task.job.poison)
+				q.fail(task.id, new Error('poisoned ' + task.attempts)) ;
+			else
+				q.done(task.id) ;
+		}) ;
+	}
+
+	it('should throw when passed a maxRetries less than 0', () => {
+		(() => {
+			new Queue(':memory:', { maxRetries: -1 }) ;
+		}).should.throw(Error) ;
+	}) ;
+
+	it('should move a job that exhausts its retries to the dead-letter table', done => {
+		failPoison() ;
+		q.on('dead', dead => {
+			dead.id.should.equal(1) ;
+			dead.job.should.eql({ poison: true }) ;
+			dead.attempts.should.equal(2) ;
+			dead.errors.map(e => e.error).should.eql(['poisoned 0', 'poisoned 1']) ;
+		}) ;
+
+		q.on('empty', () => {
+			q.getLength().should.equal(0) ;
+			q.getDeadJobs()
+			.then(jobs => {
+				jobs.length.should.equal(1) ;
+				jobs[0].id.should.equal(1) ;
+				jobs[0].attempts.should.equal(2) ;
+				jobs[0].errors.map(e => e.attempt).should.eql([1, 2]) ;
+				jobs[0].failedAt.should.be.a.Number() ;
+				return q.getDeadJob(1) ;
+			})
+			.then(job => {
+				job.job.should.eql({ poison: true }) ;
+				return q.getDeadJob(2) ;
+			})
+			.then(job => {
+				should(job).be.null() ;
+				done() ;
+			})
+			.catch(err => done(err)) ;
+		}) ;
+
+		q.add({ poison: true }) ;
+		q.add({ poison: false }) ;
+		q.start() ;
+	}) ;
+
+	it('should requeue a dead job with a fresh id', done => {
+		let requeued = null ;
+		q.on('next', task => {
+			if(requeued === null) {
+				q.fail(task.id) ;
+				return ;
+			}
+
+			task.id.should.equal(requeued) ;
+			task.job.should.equal('1') ;
+			task.attempts.should.equal(0) ;
+			q.done(task.id) ;
+		}) ;
+
+		q.on('empty', () => {
+			if(requeued !== null)
+				done() ;
+		}) ;
+
+		q.on('dead', dead => {
+			q.requeueDeadJob(dead.id)
+			.then(id => {
+				id.should.equal(2) ;
+				requeued = id ;
+				q.getLength().should.equal(1) ;
+				return q.getDeadJobs() ;
+			})
+			.then(jobs => jobs.should.eql([]))
+			.catch(err => done(err)) ;
+		}) ;
+
+		q.add('1') ;
+		q.start() ;
+	}) ;
+
+	it('should requeue a dead job in its original position', done => {
+		let order = [] ;
+		let cured = false ;
+		q.on('next', task => {
+			order.push(task.id) ;
+			if(!cured)
+				q.fail(task.id) ;
+			else
+				q.done(task.id) ;
+		}) ;
+
+		q.once('dead', dead => {
+			cured = true ;
+			q.stop() ;
+			Promise.all([q.add('2'), q.add('3')])
+			.then(() => q.requeueDeadJob(dead.id, { keepId: true }))
+			.then(id => {
+				id.should.equal(1) ;
+				q.start() ;
+			})
+			.catch(err => done(err)) ;
+		}) ;
+
+		q.on('empty', () => {
+			if(!cured)
+				return ;
+			order.should.eql([1, 1, 1, 2, 3]) ;
+			done() ;
+		}) ;
+
+		q.add('1') ;
+		q.start() ;
+	}) ;
+
+	it('should purge dead jobs', done => {
+		failPoison() ;
+		let dead = 0 ;
+		q.on('dead', () => {
+			if(++dead < 3)
+				return ;
+			q.purgeDeadJobs([1])
+			.then(count => {
+				count.should.equal(1) ;
+				return q.getDeadJobs() ;
+			})
+			.then(jobs => {
+				jobs.map(job => job.id).should.eql([2, 3]) ;
+				return q.purgeDeadJobs() ;
+			})
+			.then(count => {
+				count.should.equal(2) ;
+				return q.getDeadJobs() ;
+			})
+			.then(jobs => {
+				jobs.should.eql([]) ;
+				done() ;
+			})
+			.catch(err => done(err)) ;
+		}) ;
+
+		for(let i = 0 ; i < 3 ; ++i)
+			q.add({ poison: true }) ;
+		q.start() ;
+	}) ;
+}) ;
+
+describe('Delayed jobs', () => {
+	let q ;
+	beforeEach(done => {
+		q = new Queue(':memory:') ;
+		q.open()
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	afterEach(done => {
+		q.close()
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	it('should run a job added with a delay once it is due', done => {
+		let added = Date.now() ;
+		let order = [] ;
+		q.on('next', task => {
+			order.push(task.job) ;
+			if(task.job === 'later')
+				(Date.now() - added).should.be.aboveOrEqual(50) ;
+			q.done(task.id) ;
+		}) ;
+
+		q.on('empty', () => {
+			order.should.eql(['now', 'later']) ;
+			done() ;
+		}) ;
+
+		q.add('later', { delay: 50 }) ;
+		q.add('now') ;
+		q.start() ;
+	}) ;
+
+	it('should run jobs added with runAt in order of when they are due', done => {
+		let order = [] ;
+		q.on('next', task => {
+			order.push(task.job) ;
+			q.done(task.id) ;
+		}) ;
+
+		q.on('empty', () => {
+			order.should.eql(['first', 'second', 'third']) ;
+			done() ;
+		}) ;
+
+		let now = Date.now() ;
+		q.add('third', { runAt: new Date(now + 60) }) ;
+		q.add('second', { runAt: now + 30 }) ;
+		q.add('first', { runAt: now - 1000 }) ;
+		q.start() ;
+	}) ;
+
+	it('should reject an invalid delay', () => {
+		return q.add('1', { delay: 'soon' }).should.be.rejectedWith(Error) ;
+	}) ;
+
+	it('should not load jobs that are not yet due', done => {
+		let tmpdb = os.tmpdir() + path.sep + process.pid + '-delayed.sqlite' ;
+		let q1 = new Queue(tmpdb) ;
+		q1.open()
+		.then(() => q1.add('1', { delay: 60000 }))
+		.then(() => q1.close())
+		.then(() => {
+			q1 = new Queue(tmpdb) ;
+			return q1.open() ;
+		})
+		.then(() => {
+			q1.getLength().should.equal(1) ;
+			q1.isEmpty().should.equal(false) ;
+			q1.queue.should.eql([]) ;
+			return q1.close() ;
+		})
+		.then(() => {
+			fs.unlinkSync(tmpdb) ;
+			done() ;
+		})
+		.catch(err => done(err)) ;
+	}) ;
+
+	it('should persist the retry of a failed job', done => {
+		let q1 = new Queue(':memory:', { backoff: { delay: 60000, jitter: 0 } }) ;
+		q1.on('next', task => {
+			let failed = Date.now() ;
+			q1.fail(task.id) ;
+			setTimeout(() => {
+				q1.getSqlite3().get('SELECT run_at FROM queue WHERE id = ?', task.id, (err, row) => {
+					row.run_at.should.be.aboveOrEqual(failed + 60000) ;
+					q1.close().then(() => done()) ;
+				}) ;
+			}, 5) ;
+		}) ;
+
+		q1.open()
+		.then(() => {
+			q1.add('1') ;
+			q1.start() ;
+		}) ;
+	}) ;
+}) ;
+
+describe('Job priorities', () => {
+	let q ;
+	beforeEach(done => {
+		q = new Queue(':memory:', 3) ;
+		q.open()
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	afterEach(done => {
+		q.close()
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	it('should run jobs by priority first and id second', done => {
+		let order = [] ;
+		q.on('next', task => {
+			order.push(task.job) ;
+			q.done(task.id) ;
+		}) ;
+
+		q.on('empty', () => {
+			order.should.eql(['urgent', 'high1', 'high2', 'bulk1', 'bulk2', 'low']) ;
+			done() ;
+		}) ;
+
+		Promise.all([
+			q.add('bulk1'),
+			q.add('low', { priority: -1 }),
+			q.add('high1', { priority: 5 }),
+			q.add('bulk2'),
+			q.add('high2', { priority: 5 }),
+			q.add('urgent', { priority: 10 })
+		])
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should put an urgent job ahead of a batch already loaded from the db', done => {
+		let order = [] ;
+		q.on('next', task => {
+			order.push(task.job) ;
+			if(task.job === 'bulk0') {
+				// The rest of the first batch is already in memory when the urgent job arrives
+				q.queue.map(j => j.job).should.eql(['bulk1', 'bulk2']) ;
+				q.add('urgent', { priority: 1 })
+				.then(() => {
+					q.queue.map(j => j.job).should.eql(['urgent', 'bulk1', 'bulk2']) ;
+					q.done(task.id) ;
+				}) ;
+				return ;
+			}
+			q.done(task.id) ;
+		}) ;
+
+		q.on('empty', () => {
+			order.should.eql(['bulk0', 'urgent', 'bulk1', 'bulk2', 'bulk3', 'bulk4']) ;
+			done() ;
+		}) ;
+
+		let adds = [] ;
+		for(let i = 0 ; i < 5 ; ++i)
+			adds.push(q.add('bulk' + i)) ;
+		Promise.all(adds).then(() => q.start()) ;
+	}) ;
+
+	it('should keep a job bumped from a full batch in the queue', done => {
+		let order = [] ;
+		q.on('next', task => {
+			order.push(task.job) ;
+			if(task.job !== 'bulk0') {
+				q.done(task.id) ;
+				return ;
+			}
+
+			Promise.all([q.add('urgent1', { priority: 1 }), q.add('urgent2', { priority: 1 })])
+			.then(() => {
+				q.queue.map(j => j.job).should.eql(['urgent1', 'urgent2', 'bulk1']) ;
+				q.done(task.id) ;
+			}) ;
+		}) ;
+
+		q.on('empty', () => {
+			order.should.eql(['bulk0', 'urgent1', 'urgent2', 'bulk1', 'bulk2', 'bulk3']) ;
+			done() ;
+		}) ;
+
+		let adds = [] ;
+		for(let i = 0 ; i < 4 ; ++i)
+			adds.push(q.add('bulk' + i)) ;
+		Promise.all(adds).then(() => q.start()) ;
+	}) ;
+
+	it('should reject a priority that is not an integer', () => {
+		return q.add('1', { priority: 'high' }).should.be.rejectedWith(Error) ;
+	}) ;
+}) ;
+
+describe('Named queues', () => {
+	let tmpdb = os.tmpdir() + path.sep + process.pid + '-named.sqlite' ;
+	let email ;
+	let webhook ;
+
+	beforeEach(done => {
+		email = new Queue(tmpdb, { name: 'email' }) ;
+		webhook = new Queue(tmpdb, { name: 'webhook' }) ;
+		email.open()
+		.then(() => webhook.open())
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	afterEach(done => {
+		email.close()
+		.then(() => webhook.close())
+		.then(() => {
+			fs.unlinkSync(tmpdb) ;
+			done() ;
+		})
+		.catch(err => done(err)) ;
+	}) ;
+
+	it('should throw when passed an invalid name', () => {
+		(() => {
+			new Queue(':memory:', { name: 'bad name' }) ;
+		}).should.throw(Error) ;
+		(() => {
+			new Queue(':memory:', { name: 'email_count' }) ;
+		}).should.throw(Error) ;
+	}) ;
+
+	it('should throw when a name could clash with the indexes and triggers of another queue', () => {
+		['email_key', 'email_priority', 'email_insert', 'email_delete', 'email_completed_finished'].forEach(name => {
+			(() => {
+				new Queue(':memory:', { name: name }) ;
+			}).should.throw(/Invalid name option/) ;
+		}) ;
+	}) ;
+
+	it('should keep the jobs of each queue separate', done => {
+		Promise.all([email.add('e1'), email.add('e2'), webhook.add('w1')])
+		.then(ids => {
+			ids.should.eql([1, 2, 1]) ;
+			email.getLength().should.equal(2) ;
+			webhook.getLength().should.equal(1) ;
+
+			webhook.on('next', task => {
+				task.job.should.equal('w1') ;
+				webhook.done(task.id) ;
+			}) ;
+			webhook.on('empty', () => {
+				email.getLength().should.equal(2) ;
+				email.getFirstJobId('e2').should.be.fulfilledWith(2)
+				.then(() => done())
+				.catch(err => done(err)) ;
+			}) ;
+			webhook.start() ;
+		})
+		.catch(err => done(err)) ;
+	}) ;
+
+	it('should count existing jobs in each queue on open', done => {
+		Promise.all([email.add('e1'), webhook.add('w1'), webhook.add('w2')])
+		.then(() => {
+			let reopened = new Queue(tmpdb, { name: 'webhook' }) ;
+			return reopened.open()
+			.then(() => {
+				reopened.getLength().should.equal(2) ;
+				return reopened.close() ;
+			}) ;
+		})
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	it('should list the queues in a db', () => {
+		return Queue.listQueues(tmpdb).should.be.fulfilledWith(['email', 'webhook']) ;
+	}) ;
+}) ;
+
+describe('Processing jobs with a promise', () => {
+	let q ;
+	beforeEach(done => {
+		q = new Queue(':memory:', { backoff: { delay: 1, jitter: 0 } }) ;
+		q.open()
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	afterEach(done => {
+		q.close()
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	it('should throw when the handler is not a function', () => {
+		(() => {
+			q.process('handler') ;
+		}).should.throw(Error) ;
+	}) ;
+
+	it('should throw when process() is called twice', () => {
+		q.process(() => {}) ;
+		(() => {
+			q.process(() => {}) ;
+		}).should.throw(Error) ;
+	}) ;
+
+	it('should call done() when the handler resolves', done => {
+		let jobs = [] ;
+		q.process(task => {
+			jobs.push(task.job) ;
+			return new Promise(resolve => setTimeout(resolve, 1)) ;
+		}) ;
+
+		q.on('empty', () => {
+			jobs.should.eql(['1', '2', '3']) ;
+			q.getLength().should.equal(0) ;
+			done() ;
+		}) ;
+
+		q.add('1') ;
+		q.add('2') ;
+		q.add('3') ;
+		q.start() ;
+	}) ;
+
+	it('should call fail() when the handler rejects or throws', done => {
+		let errors = [] ;
+		q.process(task => {
+			if(task.attempts === 0)
+				return Promise.reject(new Error('rejected')) ;
+			if(task.attempts === 1)
+				throw new Error('thrown') ;
+			errors = task.errors.map(e => e.error) ;
+		}) ;
+
+		q.on('empty', () => {
+			errors.should.eql(['rejected', 'thrown']) ;
+			done() ;
+		}) ;
+
+		q.add('1') ;
+		q.start() ;
+	}) ;
+
+	it('should work alongside a handler that calls done() itself', done => {
+		q.process(task => {
+			q.done(task.id) ;
+			return Promise.resolve() ;
+		}) ;
+
+		q.on('empty', () => {
+			q.getLength().should.equal(0) ;
+			done() ;
+		}) ;
+
+		q.add('1') ;
+		q.add('2') ;
+		q.start() ;
+	}) ;
+}) ;
+
+describe('Sharing a queue between processes', () => {
+	let tmpdb = os.tmpdir() + path.sep + process.pid + '-shared.sqlite' ;
+	let a ;
+	let b ;
+
+	beforeEach(done => {
+		a = new Queue(tmpdb, { leaseTimeout: 1000, pollInterval: 20 }) ;
+		b = new Queue(tmpdb, { leaseTimeout: 1000, pollInterval: 20 }) ;
+		a.open()
+		.then(() => b.open())
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	afterEach(done => {
+		a.close()
+		.then(() => b.close())
+		.then(() => {
+			fs.unlinkSync(tmpdb) ;
+			done() ;
+		})
+		.catch(err => done(err)) ;
+	}) ;
+
+	it('should throw when passed an invalid leaseTimeout or pollInterval', () => {
+		(() => {
+			new Queue(':memory:', { leaseTimeout: 0 }) ;
+		}).should.throw(Error) ;
+		(() => {
+			new Queue(':memory:', { leaseTimeout: 1000, pollInterval: 'often' }) ;
+		}).should.throw(Error) ;
+	}) ;
+
+	it('should give each job to only one consumer', done => {
+		let seen = { a: [], b: [] } ;
+		const handler = name => task => {
+			seen[name].push(task.job) ;
+			return new Promise(resolve => setTimeout(resolve, 5)) ;
+		} ;
+		a.process(handler('a')) ;
+		b.process(handler('b')) ;
+
+		Promise.all([
+			new Promise(resolve => a.once('empty', resolve)),
+			new Promise(resolve => b.once('empty', resolve))
+		])
+		.then(() => {
+			seen.a.length.should.be.above(0) ;
+			seen.b.length.should.be.above(0) ;
+			seen.a.concat(seen.b).sort((x, y) => x - y).should.eql(Array.from({ length: 20 }, (v, i) => i)) ;
+			done() ;
+		})
+		.catch(err => done(err)) ;
+
+		let adds = [] ;
+		for(let i = 0 ; i < 20 ; i++)
+			adds.push(a.add(i)) ;
+		Promise.all(adds)
+		.then(() => {
+			a.start() ;
+			b.start() ;
+		}) ;
+	}) ;
+
+	it('should pick up jobs added by another consumer', done => {
+		b.process(task => {
+			task.job.should.equal('from a') ;
+			done() ;
+			return Promise.resolve() ;
+		}) ;
+		b.start() ;
+		a.add('from a') ;
+	}) ;
+
+	it('should take over a job once its lease expires', done => {
+		let leased ;
+		b.process(() => {
+			(Date.now()).should.be.aboveOrEqual(leased) ;
+			done() ;
+			return Promise.resolve() ;
+		}) ;
+
+		a.add('orphan')
+		.then(id => new Promise((resolve, reject) => {
+			// Claimed by a consumer that has since died
+			leased = Date.now() + 100 ;
+			a.db.run('UPDATE queue SET lease_owner = ?, lease_expires = ? WHERE id = ?', ['dead', leased, id], err => {
+				if(err !== null)
+					reject(err) ;
+				resolve() ;
+			}) ;
+		}))
+		.then(() => b.start())
+		.catch(err => done(err)) ;
+	}) ;
+}) ;
+
+describe('Deduplication keys', () => {
+	let q ;
+
+	beforeEach(done => {
+		q = new Queue(':memory:') ;
+		q.open()
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	afterEach(done => {
+		q.close()
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	it('should reject invalid key and onDuplicate options', () => {
+		return Promise.all([
+			q.add('1', { key: 1 }).should.be.rejectedWith(Error),
+			q.add('1', { key: 'a', onDuplicate: 'merge' }).should.be.rejectedWith(Error)
+		]) ;
+	}) ;
+
+	it('should reject a job with the same key by default', () => {
+		return q.add({ to: 'a', from: 'b' }, { key: 'email-1' })
+		.then(() => q.add({ from: 'b', to: 'a' }, { key: 'email-1' }).should.be.rejectedWith(Error))
+		.then(() => {
+			q.getLength().should.equal(1) ;
+		}) ;
+	}) ;
+
+	it('should resolve the existing id when ignoring a duplicate', () => {
+		let id ;
+		const add = sinon.spy() ;
+		return q.add('first', { key: 'k' })
+		.then(first => {
+			id = first ;
+			q.on('add', add) ;
+			return q.add('second', { key: 'k', onDuplicate: 'ignore' }) ;
+		})
+		.then(second => {
+			second.should.equal(id) ;
+			add.should.not.be.called() ;
+			q.getLength().should.equal(1) ;
+			return q.getFirstJobId('first') ;
+		})
+		.then(first => first.should.equal(id)) ;
+	}) ;
+
+	it('should replace the payload of a duplicate', done => {
+		q.add('first', { key: 'k' })
+		.then(() => q.add('second', { key: 'k', onDuplicate: 'replace' }))
+		.then(() => {
+			q.on('next', task => {
+				task.job.should.equal('second') ;
+				task.key.should.equal('k') ;
+				q.done(task.id) ;
+			}) ;
+			q.on('empty', () => done()) ;
+			q.start() ;
+		})
+		.catch(err => done(err)) ;
+	}) ;
+
+	it('should allow the key again once the job is done', done => {
+		q.on('next', task => {
+			q.done(task.id) ;
+		}) ;
+		q.once('empty', () => {
+			q.stop() ;
+			q.add('again', { key: 'k' })
+			.then(id => {
+				id.should.be.a.Number() ;
+				done() ;
+			})
+			.catch(err => done(err)) ;
+		}) ;
+		q.add('once', { key: 'k' })
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should allow any number of jobs without a key', () => {
+		return Promise.all([q.add('1'), q.add('1')])
+		.then(() => {
+			q.getLength().should.equal(2) ;
+		}) ;
+	}) ;
+}) ;
+
+describe('Adding many jobs', () => {
+	let q ;
+
+	beforeEach(done => {
+		q = new Queue(':memory:') ;
+		q.open()
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	afterEach(done => {
+		q.close()
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	it('should reject when not passed an array', () => {
+		return q.addMany('1').should.be.rejectedWith(Error) ;
+	}) ;
+
+	it('should resolve the ids of the jobs in order', () => {
+		return q.addMany(['1', '2', '3'])
+		.then(ids => {
+			ids.should.have.length(3) ;
+			ids[0].should.be.below(ids[1]) ;
+			ids[1].should.be.below(ids[2]) ;
+			q.getLength().should.equal(3) ;
+			return q.getFirstJobId('2').should.be.fulfilledWith(ids[1]) ;
+		}) ;
+	}) ;
+
+	it('should emit one addMany event and no add events', () => {
+		const add = sinon.spy() ;
+		const addMany = sinon.spy() ;
+		q.on('add', add) ;
+		q.on('addMany', addMany) ;
+		return q.addMany([{ a: 1 }, { b: 2 }])
+		.then(ids => {
+			add.should.not.be.called() ;
+			addMany.should.be.calledOnce() ;
+			addMany.should.be.calledWith([{ id: ids[0], job: { a: 1 } }, { id: ids[1], job: { b: 2 } }]) ;
+		}) ;
+	}) ;
+
+	it('should add none of the jobs if any insert fails', () => {
+		const run = q.db.run ;
+		let inserts = 0 ;
+		sinon.stub(q.db, 'run').callsFake(function(sql, params, callback) {
+			if(sql.startsWith('INSERT') && ++inserts === 3)
+				return callback.call({}, new Error('SQLITE_FULL: database or disk is full')) ;
+			return run.apply(this, arguments) ;
+		}) ;
+
+		return q.addMany(['1', '2', '3', '4'])
+		.should.be.rejectedWith(Error)
+		.then(() => {
+			q.db.run.restore() ;
+			q.getLength().should.equal(0) ;
+			return q.getFirstJobId('1').should.be.fulfilledWith(null) ;
+		}) ;
+	}) ;
+
+	it('should reject when a job can\'t be serialized', () => {
+		const job = {} ;
+		job.self = job ;
+		return q.addMany(['1', job]).should.be.rejectedWith(TypeError) ;
+	}) ;
+
+	it('should process the jobs in order once started', done => {
+		let jobs = [] ;
+		q.on('next', task => {
+			jobs.push(task.job) ;
+			q.done(task.id) ;
+		}) ;
+		q.on('empty', () => {
+			jobs.should.eql(Array.from({ length: 25 }, (v, i) => i)) ;
+			done() ;
+		}) ;
+
+		q.start() ;
+		q.addMany(Array.from({ length: 25 }, (v, i) => i)) ;
+	}) ;
+
+	it('should keep statements issued while adding out of its transaction', done => {
+		const error = sinon.spy() ;
+		q.on('error', error) ;
+		q.once('next', task => {
+			// Emptying the queue runs a VACUUM, which can't run inside the transaction
+			q.addMany(Array.from({ length: 50 }, (v, i) => i))
+			.then(ids => {
+				ids.should.have.length(50) ;
+				return q.getLength() ;
+			})
+			.then(length => {
+				length.should.equal(50) ;
+				error.should.not.be.called() ;
+				done() ;
+			})
+			.catch(err => done(err)) ;
+			q.done(task.id) ;
+		}) ;
+
+		q.add('first')
+		.then(() => q.start())
+		.catch(err => done(err)) ;
+	}) ;
+
+	it('should not roll back statements issued while adding', () => {
+		const run = q.db.run ;
+		let finished ;
+		sinon.stub(q.db, 'run').callsFake(function(sql, params, callback) {
+			if(sql.startsWith('INSERT INTO')) {
+				// Finish the first job while the transaction is underway, then fail it
+				return setImmediate(() => {
+					finished = q.done(1) ;
+					callback.call({}, new Error('SQLITE_FULL: database or disk is full')) ;
+				}) ;
+			}
+			return run.apply(this, arguments) ;
+		}) ;
+
+		return q.add('first')
+		.then(() => new Promise(resolve => {
+			q.once('next', resolve) ;
+			q.start() ;
+		}))
+		.then(() => {
+			q.stop() ;
+			return q.addMany(['2', '3']).should.be.rejectedWith(Error) ;
+		})
+		.then(() => {
+			q.db.run.restore() ;
+			return finished ;
+		})
+		.then(() => new Promise((resolve, reject) => {
+			q.db.get(`SELECT count(*) AS count FROM ${q.table}`, (err, row) => err ? reject(err) : resolve(row.count)) ;
+		}))
+		.then(count => {
+			count.should.equal(0) ;
+		}) ;
+	}) ;
+}) ;
+
+describe('Batch consumption', () => {
+	let q ;
+
+	beforeEach(done => {
+		q = new Queue(':memory:', { nextBatch: 4, backoff: { delay: 1, jitter: 0 } }) ;
+		q.open()
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	afterEach(done => {
+		q.close()
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	it('should throw when passed an invalid nextBatch option', () => {
+		(() => {
+			new Queue(':memory:', { nextBatch: 0 }) ;
+		}).should.throw(Error) ;
+		(() => {
+			new Queue(':memory:', { batchSize: 5, nextBatch: 10 }) ;
+		}).should.throw(Error) ;
+		new Queue(':memory:', { nextBatch: 50 }).batchSize.should.equal(50) ;
+	}) ;
+
+	it('should emit batches of up to nextBatch jobs', done => {
+		let batches = [] ;
+		const next = sinon.spy() ;
+		q.on('next', next) ;
+		q.on('nextBatch', jobs => {
+			batches.push(jobs.map(job => job.job)) ;
+			q.doneMany(jobs.map(job => job.id)) ;
+		}) ;
+		q.on('empty', () => {
+			next.should.not.be.called() ;
+			batches.should.eql([[0, 1, 2, 3], [4, 5, 6, 7], [8, 9]]) ;
+			q.getLength().should.equal(0) ;
+			done() ;
+		}) ;
+
+		q.addMany(Array.from({ length: 10 }, (v, i) => i))
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should reject when doneMany() is given a job not in progress', done => {
+		q.on('nextBatch', jobs => {
+			const ids = jobs.map(job => job.id) ;
+			q.doneMany(ids.concat(999)).should.be.rejectedWith('Job id 999 is not in progress')
+			// None of the jobs were claimed by the failed call
+			.then(() => q.doneMany(ids))
+			.catch(err => done(err)) ;
+		}) ;
+		q.on('empty', () => done()) ;
+
+		q.addMany(['1', '2'])
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should hold the batch slot until every job in it is finished', done => {
+		let calls = 0 ;
+		q.on('nextBatch', jobs => {
+			calls++ ;
+			if(calls === 1) {
+				q.doneMany([jobs[0].id]) ;
+				setTimeout(() => {
+					calls.should.equal(1) ;
+					q.fail(jobs[1].id, new Error('retry')) ;
+				}, 20) ;
+			}
+			else {
+				q.doneMany(jobs.map(job => job.id)) ;
+			}
+		}) ;
+		q.on('empty', () => {
+			calls.should.equal(2) ;
+			done() ;
+		}) ;
+
+		q.addMany(['1', '2'])
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should pass batches to process()', done => {
+		let batches = [] ;
+		q.process(jobs => {
+			batches.push(jobs.length) ;
+			if(batches.length === 1)
+				return Promise.reject(new Error('bulk write failed')) ;
+			return Promise.resolve() ;
+		}) ;
+		q.on('empty', () => {
+			// The failed jobs are retried, each as soon as it is due
+			batches[0].should.equal(3) ;
+			batches.reduce((sum, n) => sum + n).should.equal(6) ;
+			done() ;
+		}) ;
+
+		q.addMany(['1', '2', '3'])
+		.then(() => q.start()) ;
+	}) ;
+}) ;
+
+describe('Purging and deleting many jobs', () => {
+	let q ;
+
+	beforeEach(done => {
+		q = new Queue(':memory:') ;
+		q.open()
+		.then(() => q.addMany([{ user: 1 }, { user: 2 }, { user: 1 }, { user: 3 }]))
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	afterEach(done => {
+		q.close()
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	it('should purge every job and emit one deleteMany event', () => {
+		const deleteMany = sinon.spy() ;
+		q.on('deleteMany', deleteMany) ;
+		return q.purge()
+		.then(ids => {
+			ids.should.eql([1, 2, 3, 4]) ;
+			deleteMany.should.be.calledOnce() ;
+			deleteMany.should.be.calledWith({ ids: [1, 2, 3, 4] }) ;
+			q.getLength().should.equal(0) ;
+			q.isEmpty().should.be.true() ;
+			q.queue.should.be.empty() ;
+			return q.getFirstJobId({ user: 2 }).should.be.fulfilledWith(null) ;
+		}) ;
+	}) ;
+
+	it('should delete the jobs matching a filter', () => {
+		return q.deleteWhere(task => task.job.user === 1)
+		.then(ids => {
+			ids.should.eql([1, 3]) ;
+			q.getLength().should.equal(2) ;
+			return q.getJobIds({ user: 1 }).should.be.fulfilledWith([]) ;
+		}) ;
+	}) ;
+
+	it('should remove deleted jobs already loaded from the db', done => {
+		let jobs = [] ;
+		q.on('next', task => {
+			jobs.push(task.job) ;
+			if(jobs.length > 1) {
+				q.done(task.id) ;
+				return ;
+			}
+
+			q.queue.map(job => job.id).should.eql([2, 3, 4]) ;
+			q.deleteWhere(task => task.job.user === 1)
+			.then(ids => {
+				ids.should.eql([3]) ;
+				q.queue.map(job => job.id).should.eql([2, 4]) ;
+				q.done(task.id) ;
+			})
+			.catch(err => done(err)) ;
+		}) ;
+		q.on('empty', () => {
+			jobs.should.eql([{ user: 1 }, { user: 2 }, { user: 3 }]) ;
+			done() ;
+		}) ;
+		q.start() ;
+	}) ;
+
+	it('should not emit deleteMany when nothing matches', () => {
+		const deleteMany = sinon.spy() ;
+		q.on('deleteMany', deleteMany) ;
+		return q.deleteWhere(() => false)
+		.then(ids => {
+			ids.should.eql([]) ;
+			deleteMany.should.not.be.called() ;
+			q.getLength().should.equal(4) ;
+		}) ;
+	}) ;
+
+	it('should reject when the filter is not a function, or throws', () => {
+		return Promise.all([
+			q.deleteWhere({ user: 1 }).should.be.rejectedWith(Error),
+			q.deleteWhere(() => {
+				throw new Error('bad filter') ;
+			}).should.be.rejectedWith('bad filter')
+		])
+		.then(() => {
+			q.getLength().should.equal(4) ;
+		}) ;
+	}) ;
+
+	it('should leave jobs in progress to finish', done => {
+		q.on('next', task => {
+			q.purge()
+			.then(ids => {
+				ids.should.not.containEql(task.id) ;
+				q.getLength().should.equal(1) ;
+				q.done(task.id) ;
+			})
+			.catch(err => done(err)) ;
+		}) ;
+		q.on('empty', () => done()) ;
+		q.start() ;
+	}) ;
+
+	it('should not delete a job started while purging', done => {
+		let purged = null ;
+		let finished = [] ;
+		q.on('next', task => {
+			if(purged === null)
+				purged = q.purge() ;
+			finished.push(q.done(task.id)) ;
+		}) ;
+		q.once('empty', () => {
+			purged
+			.then(() => q.drain({ timeout: 1000 }))
+			.then(() => Promise.all(finished))
+			.then(() => new Promise((resolve, reject) => {
+				q.db.get(`SELECT count(*) AS count FROM ${q.table}`, (err, row) => err ? reject(err) : resolve(row.count)) ;
+			}))
+			.then(count => {
+				q.active.size.should.equal(0) ;
+				q.getLength().should.equal(count) ;
+				done() ;
+			})
+			.catch(err => done(err)) ;
+		}) ;
+		q.start() ;
+	}) ;
+}) ;
+
+describe('Serializers', () => {
+	let tmpdb = os.tmpdir() + path.sep + process.pid + '-serializer.sqlite' ;
+
+	afterEach(() => {
+		if(fs.existsSync(tmpdb))
+			fs.unlinkSync(tmpdb) ;
+	}) ;
+
+	it('should throw when passed an invalid serializer', () => {
+		(() => {
+			new Queue(':memory:', { serializer: 'yaml' }) ;
+		}).should.throw(Error) ;
+		(() => {
+			new Queue(':memory:', { serializer: { encode: JSON.stringify } }) ;
+		}).should.throw(Error) ;
+	}) ;
+
+	it('should round-trip Dates, Buffers, Maps and BigInts with the v8 serializer', () => {
+		const job = {
+			at: new Date('2030-01-01T09:00:00Z'),
+			data: Buffer.from('hello'),
+			counts: new Map([['a', 1]]),
+			big: BigInt('18446744073709551616')
+		} ;
+		let q = new Queue(tmpdb, { serializer: 'v8' }) ;
+		return q.open()
+		.then(() => q.add(job))
+		.then(() => q.close())
+		.then(() => {
+			// Load the job back from the db rather than memory
+			q = new Queue(tmpdb, { serializer: 'v8' }) ;
+			return q.open() ;
+		})
+		.then(() => {
+			const stored = q.queue[0].job ;
+			stored.at.should.be.a.Date() ;
+			stored.at.getTime().should.equal(job.at.getTime()) ;
+			Buffer.isBuffer(stored.data).should.be.true() ;
+			stored.data.toString().should.equal('hello') ;
+			stored.counts.get('a').should.equal(1) ;
+			(stored.big === job.big).should.be.true() ;
+			return q.getFirstJobId(job) ;
+		})
+		.then(id => {
+			id.should.equal(1) ;
+			return q.close() ;
+		}) ;
+	}) ;
+
+	it('should use a custom serializer for storing and searching', () => {
+		const serializer = {
+			encode: sinon.spy(job => JSON.stringify(job).split('').reverse().join('')),
+			decode: sinon.spy(data => JSON.parse(data.split('').reverse().join('')))
+		} ;
+		let q = new Queue(tmpdb, { serializer: serializer }) ;
+		return q.open()
+		.then(() => q.add({ n: 1 }))
+		.then(() => q.add({ n: 2 }))
+		.then(() => q.close())
+		.then(() => {
+			q = new Queue(tmpdb, { serializer: serializer }) ;
+			return q.open() ;
+		})
+		.then(() => {
+			serializer.encode.should.be.called() ;
+			serializer.decode.should.be.called() ;
+			q.queue.map(task => task.job).should.eql([{ n: 1 }, { n: 2 }]) ;
+			return q.getJobIds({ n: 2 }) ;
+		})
+		.then(ids => {
+			ids.should.eql([2]) ;
+			return q.close() ;
+		}) ;
+	}) ;
+}) ;
+
+describe('Completed job history', () => {
+	let q ;
+
+	afterEach(done => {
+		q.close()
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	it('should throw when passed an invalid keepCompleted option', () => {
+		(() => {
+			new Queue(':memory:', { keepCompleted: { maxAge: -1 } }) ;
+		}).should.throw(Error) ;
+		(() => {
+			new Queue(':memory:', { keepCompleted: { maxCount: 'all' } }) ;
+		}).should.throw(Error) ;
+		q = new Queue(':memory:') ;
+		return q.open() ;
+	}) ;
+
+	it('should not keep completed jobs by default', done => {
+		q = new Queue(':memory:') ;
+		q.on('next', task => {
+			q.done(task.id, 'sent') ;
+		}) ;
+		q.on('empty', () => {
+			q.getCompletedJobs()
+			.then(jobs => {
+				jobs.should.eql([]) ;
+				done() ;
+			})
+			.catch(err => done(err)) ;
+		}) ;
+		q.open()
+		.then(() => q.add('1'))
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should record finished jobs with their result and timestamps', done => {
+		q = new Queue(':memory:', { keepCompleted: true }) ;
+		const before = Date.now() ;
+		q.on('next', task => {
+			setTimeout(() => q.done(task.id, { status: 200 }), 20) ;
+		}) ;
+		q.on('empty', () => {
+			q.getCompletedJob(1)
+			.then(job => {
+				job.should.match({ id: 1, job: { url: 'https://example.com' }, result: { status: 200 }, attempts: 0 }) ;
+				job.createdAt.should.be.within(before, job.startedAt) ;
+				job.startedAt.should.be.within(job.createdAt, job.finishedAt) ;
+				job.duration.should.equal(job.finishedAt - job.startedAt) ;
+				job.duration.should.be.aboveOrEqual(15) ;
+				q.getLength().should.equal(0) ;
+				return q.getCompletedJob(2).should.be.fulfilledWith(null) ;
+			})
+			.then(() => done())
+			.catch(err => done(err)) ;
+		}) ;
+		q.open()
+		.then(() => q.add({ url: 'https://example.com' }))
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should reject a result that can\'t be encoded, leaving the job in progress', done => {
+		q = new Queue(':memory:', { keepCompleted: true }) ;
+		q.on('next', task => {
+			const circular = {} ;
+			circular.self = circular ;
+			q.done(task.id, circular)
+			.should.be.rejectedWith(TypeError)
+			.then(() => {
+				q.finishing.has(task.id).should.be.false() ;
+				return q.done(task.id, 'encodable') ;
+			})
+			.then(() => q.getCompletedJob(task.id))
+			.then(job => {
+				job.result.should.equal('encodable') ;
+				q.stop() ;
+				done() ;
+			})
+			.catch(err => done(err)) ;
+		}) ;
+		q.open()
+		.then(() => q.add('1'))
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should reject a result given without the job id', done => {
+		q = new Queue(':memory:', { keepCompleted: true, concurrency: 2 }) ;
+		q.on('next', task => {
+			if(task.id !== 2)
+				return ;
+			Promise.all([
+				q.done(undefined, 1).should.be.rejectedWith(/Invalid id/),
+				q.done('1').should.be.rejectedWith(/Invalid id/)
+			])
+			.then(() => {
+				q.active.size.should.equal(2) ;
+				q.stop() ;
+				done() ;
+			})
+			.catch(err => done(err)) ;
+		}) ;
+		q.open()
+		.then(() => q.addMany(['1', '2']))
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should record the value a process() handler resolves to', done => {
+		q = new Queue(':memory:', { keepCompleted: true }) ;
+		q.process(task => Promise.resolve(task.job * 2)) ;
+		q.on('empty', () => {
+			q.getCompletedJobs()
+			.then(jobs => {
+				jobs.map(job => job.result).should.eql([4, 2]) ;
+				done() ;
+			})
+			.catch(err => done(err)) ;
+		}) ;
+		q.open()
+		.then(() => q.addMany([1, 2]))
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should keep only maxCount completed jobs', done => {
+		q = new Queue(':memory:', { keepCompleted: { maxCount: 2 }, nextBatch: 2 }) ;
+		q.on('nextBatch', jobs => {
+			q.doneMany(jobs.map(job => job.id)) ;
+		}) ;
+		q.on('empty', () => {
+			q.getCompletedJobs()
+			.then(jobs => {
+				jobs.map(job => job.id).should.eql([5, 4]) ;
+				done() ;
+			})
+			.catch(err => done(err)) ;
+		}) ;
+		q.open()
+		.then(() => q.addMany([1, 2, 3, 4, 5]))
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should prune completed jobs older than maxAge', done => {
+		q = new Queue(':memory:', { keepCompleted: true }) ;
+		q.on('next', task => {
+			q.done(task.id) ;
+		}) ;
+		q.on('empty', () => {
+			setTimeout(() => {
+				q.pruneCompletedJobs({ maxAge: 10 })
+				.then(deleted => {
+					deleted.should.equal(1) ;
+					return q.getCompletedJobs() ;
+				})
+				.then(jobs => {
+					jobs.should.eql([]) ;
+					done() ;
+				})
+				.catch(err => done(err)) ;
+			}, 20) ;
+		}) ;
+		q.open()
+		.then(() => q.add('1'))
+		.then(() => q.start()) ;
+	}) ;
+}) ;
+
+describe('Job lifecycle events', () => {
+	let q ;
+
+	beforeEach(done => {
+		q = new Queue(':memory:', { backoff: { delay: 1, jitter: 0 }, maxRetries: 1 }) ;
+		q.open()
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	afterEach(done => {
+		q.close()
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	it('should emit active and completed with timings', done => {
+		const active = sinon.spy() ;
+		q.on('active', active) ;
+		q.on('next', task => {
+			setTimeout(() => q.done(task.id, 'ok'), 10) ;
+		}) ;
+		q.on('completed', event => {
+			active.should.be.calledOnce() ;
+			active.args[0][0].should.match({ id: event.id, job: '1', startedAt: event.startedAt }) ;
+			event.should.match({ job: '1', result: 'ok' }) ;
+			event.duration.should.equal(event.finishedAt - event.startedAt) ;
+			event.duration.should.be.aboveOrEqual(5) ;
+			done() ;
+		}) ;
+
+		q.add('1')
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should emit failed for each failed attempt', done => {
+		let failed = [] ;
+		q.on('next', task => {
+			q.fail(task.id, new Error('attempt '+task.attempts)) ;
+		}) ;
+		q.on('failed', event => {
+			failed.push(event) ;
+		}) ;
+		q.on('dead', () => {
+			failed.map(event => event.error).should.eql(['attempt 0', 'attempt 1']) ;
+			failed[0].retryAt.should.be.aboveOrEqual(failed[0].failedAt) ;
+			(failed[1].retryAt === null).should.be.true() ;
+			failed[1].attempts.should.equal(2) ;
+			done() ;
+		}) ;
+
+		q.add('1')
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should store progress and emit progress events', done => {
+		q.on('next', task => {
+			task.progress(50)
+			.then(() => q.getProgress(task.id))
+			.then(progress => {
+				progress.should.equal(50) ;
+				return q.progress(task.id, { step: 'upload' }) ;
+			})
+			.then(() => q.getProgress(task.id))
+			.then(progress => {
+				progress.should.eql({ step: 'upload' }) ;
+				q.done(task.id) ;
+			})
+			.catch(err => done(err)) ;
+		}) ;
+		let events = [] ;
+		q.on('progress', event => {
+			events.push(event.progress) ;
+			event.at.should.be.aboveOrEqual(event.startedAt) ;
+		}) ;
+		q.on('empty', () => {
+			events.should.eql([50, { step: 'upload' }]) ;
+			done() ;
+		}) ;
+
+		q.add('1')
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should reject progress for a job not in progress', () => {
+		return q.add('1')
+		.then(id => q.progress(id, 10).should.be.rejectedWith(Error)) ;
+	}) ;
+
+	it('should reject progress the serializer can\'t encode, leaving the job in progress', done => {
+		q.on('next', task => {
+			task.progress(BigInt(5))
+			.should.be.rejectedWith(TypeError)
+			.then(() => task.done())
+			.then(() => done())
+			.catch(err => done(err)) ;
+		}) ;
+
+		q.add('1')
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should store progress with the queue\'s serializer', done => {
+		let v8q = new Queue(':memory:', { serializer: 'v8' }) ;
+		v8q.on('next', task => {
+			task.progress(BigInt(5))
+			.then(() => v8q.getProgress(task.id))
+			.then(progress => {
+				progress.should.equal(BigInt(5)) ;
+				return task.done() ;
+			})
+			.then(() => v8q.close())
+			.then(() => done())
+			.catch(err => done(err)) ;
+		}) ;
+
+		v8q.open()
+		.then(() => v8q.add('1'))
+		.then(() => v8q.start()) ;
+	}) ;
+
+	it('should record when a job started only once it has been in progress a while', done => {
+		const run = sinon.spy(q.db, 'run') ;
+		const starts = () => run.args.filter(args => /SET started_at = \?/.test(args[0])) ;
+		q.on('next', task => {
+			// Finished straight away, so its start is never written
+			if(task.id === 1) {
+				task.done() ;
+				return ;
+			}
+			setTimeout(() => {
+				starts().map(args => args[1]).should.eql([[q.startedAt.get(2), 2]]) ;
+				q.db.get(`SELECT started_at FROM ${q.table} WHERE id = 2`, (err, row) => {
+					if(err !== null) {
+						done(err) ;
+						return ;
+					}
+					row.started_at.should.equal(q.startedAt.get(2)) ;
+					task.done()
+					.then(() => done())
+					.catch(err => done(err)) ;
+				}) ;
+			}, 1100) ;
+		}) ;
+
+		q.add('1')
+		.then(() => q.add('2'))
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should emit stalled for a job left in progress when the queue was closed', () => {
+		let tmpdb = os.tmpdir() + path.sep + process.pid + '-stalled.sqlite' ;
+		let first = new Queue(tmpdb) ;
+		let second = new Queue(tmpdb) ;
+		const stalled = sinon.spy() ;
+		second.on('stalled', stalled) ;
+
+		return first.open()
+		.then(() => first.add('1'))
+		.then(() => first.add('2'))
+		.then(() => new Promise(resolve => {
+			// Start the first job and never finish it
+			first.once('next', task => task.progress(30).then(resolve)) ;
+			first.start() ;
+		}))
+		.then(() => first.close())
+		.then(() => second.open())
+		.then(() => {
+			stalled.should.be.calledOnce() ;
+			stalled.args[0][0].should.match({ id: 1, job: '1' }) ;
+			stalled.args[0][0].startedAt.should.be.belowOrEqual(stalled.args[0][0].detectedAt) ;
+			second.queue[0].lastProgress.should.equal(30) ;
+			return second.close() ;
+		})
+		.then(() => {
+			fs.unlinkSync(tmpdb) ;
+		}) ;
+	}) ;
+}) ;
+
+describe('Error handling', () => {
+	let q ;
+
+	afterEach(done => {
+		q.close()
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	/**
+	 * Store a job that the json serializer can't decode
+	 * @param {PersistentQueue} q
+	 * @return {Promise}
+	 */
+	const addCorrupt = q => q.add('corrupt')
+	.then(id => new Promise((resolve, reject) => {
+		q.db.run(`UPDATE ${q.table} SET job = ? WHERE id = ?`, ['{not json', id], err => {
+			if(err !== null)
+				reject(err) ;
+			resolve() ;
+		}) ;
+	})) ;
+
+	it('should emit an error event when a job can\'t be decoded', done => {
+		q = new Queue(':memory:') ;
+		q.on('error', err => {
+			err.should.be.an.Error() ;
+			err.operation.should.equal('hydrate') ;
+			err.jobId.should.equal(1) ;
+			done() ;
+		}) ;
+		q.open()
+		.then(() => addCorrupt(q))
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should quarantine jobs that can\'t be decoded and carry on', done => {
+		q = new Queue(':memory:', { quarantine: true }) ;
+		const quarantined = sinon.spy() ;
+		let jobs = [] ;
+		q.on('quarantined', quarantined) ;
+		q.on('next', task => {
+			jobs.push(task.job) ;
+			q.done(task.id) ;
+		}) ;
+		q.on('empty', () => {
+			jobs.should.eql(['2']) ;
+			quarantined.should.be.calledOnce() ;
+			quarantined.args[0][0].id.should.equal(1) ;
+			quarantined.args[0][0].error.should.be.an.Error() ;
+			q.getQuarantinedJobs()
+			.then(rows => {
+				rows.should.have.length(1) ;
+				rows[0].should.match({ id: 1, data: '{not json' }) ;
+				rows[0].error.should.be.a.String() ;
+				done() ;
+			})
+			.catch(err => done(err)) ;
+		}) ;
+		q.open()
+		.then(() => addCorrupt(q))
+		.then(() => q.add('2'))
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should reject done() when the job can\'t be removed, leaving it in progress', done => {
+		q = new Queue(':memory:') ;
+		q.on('next', task => {
+			const remove = sinon.stub(q.db, 'run').callsFake((sql, params, callback) => callback.call({}, new Error('SQLITE_BUSY: database is locked'))) ;
+			q.done(task.id)
+			.should.be.rejectedWith({ operation: 'done', jobId: task.id })
+			.then(() => {
+				remove.restore() ;
+				q.active.has(task.id).should.be.true() ;
+				q.finishing.has(task.id).should.be.false() ;
+				return q.done(task.id) ;
+			})
+			.then(() => {
+				q.stop() ;
+				done() ;
+			})
+			.catch(err => done(err)) ;
+		}) ;
+		q.open()
+		.then(() => q.add('1'))
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should let go of a job whose row has gone, and move on to the next', done => {
+		q = new Queue(':memory:') ;
+		q.on('next', task => {
+			if(task.job === 'b') {
+				q.active.size.should.equal(1) ;
+				q.getLength().should.equal(1) ;
+				q.stop() ;
+				done() ;
+				return ;
+			}
+			q.delete(task.id)
+			.should.be.rejectedWith(/is in progress/)
+			// Removed behind the queue's back, say by another process
+			.then(() => new Promise((resolve, reject) => {
+				q.db.run(`DELETE FROM ${q.table} WHERE id = ?`, task.id, err => (err === null) ? resolve() : reject(err)) ;
+			}))
+			.then(() => q.done(task.id).should.be.rejectedWith({ operation: 'done', jobId: task.id }))
+			.then(() => {
+				q.active.has(task.id).should.be.false() ;
+				q.finishing.has(task.id).should.be.false() ;
+			})
+			.catch(err => done(err)) ;
+		}) ;
+		q.open()
+		.then(() => q.addMany(['a', 'b']))
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should let go of a job whose row has gone when it fails', done => {
+		q = new Queue(':memory:', { timeout: 30 }) ;
+		const error = sinon.spy() ;
+		q.on('error', error) ;
+		q.on('next', task => {
+			if(task.job === 'b') {
+				error.should.be.calledOnce() ;
+				error.args[0][0].should.match({ operation: 'fail', jobId: 1 }) ;
+				q.active.size.should.equal(1) ;
+				q.stop() ;
+				done() ;
+				return ;
+			}
+			// Removed behind the queue's back, then timed out
+			q.db.run(`DELETE FROM ${q.table} WHERE id = ?`, task.id) ;
+		}) ;
+		q.open()
+		.then(() => q.addMany(['a', 'b']))
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should emit an error event when a process() handler can\'t finish a job', done => {
+		q = new Queue(':memory:') ;
+		q.process(task => new Promise((resolve, reject) => {
+			q.db.run(`DELETE FROM ${q.table} WHERE id = ?`, task.id, err => (err === null) ? resolve() : reject(err)) ;
+		})) ;
+		q.on('error', err => {
+			err.operation.should.equal('done') ;
+			q.stop() ;
+			done() ;
+		}) ;
+		q.open()
+		.then(() => q.add('1'))
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should emit an error event when the leases can\'t be released on closing', () => {
+		q = new Queue(':memory:', { leaseTimeout: 1000 }) ;
+		const error = sinon.spy() ;
+		q.on('error', error) ;
+		return q.open()
+		.then(() => {
+			const run = q.db.run ;
+			sinon.stub(q.db, 'run').callsFake(function(sql, params, callback) {
+				if(sql.includes('lease_owner = NULL'))
+					return callback.call({}, new Error('SQLITE_BUSY: database is locked')) ;
+				return run.apply(this, arguments) ;
+			}) ;
+			return q.close() ;
+		})
+		.then(() => {
+			error.should.be.calledOnce() ;
+			error.args[0][0].operation.should.equal('releaseLeases') ;
+			// For afterEach to close
+			return q.open() ;
+		}) ;
+	}) ;
+}) ;
+
+describe('Draining and closing', () => {
+	it('should resolve drain() once the jobs in progress are done', done => {
+		const q = new Queue(':memory:') ;
+		const next = sinon.spy() ;
+		q.on('next', task => {
+			next() ;
+			q.drain()
+			.then(() => {
+				next.should.be.calledOnce() ;
+				q.active.size.should.equal(0) ;
+				return q.getLength() ;
+			})
+			.then(length => {
+				length.should.equal(1) ;
+				return q.close() ;
+			})
+			.then(() => done())
+			.catch(err => done(err)) ;
+			setTimeout(() => q.done(task.id), 50) ;
+		}) ;
+		q.open()
+		.then(() => q.addMany(['1', '2']))
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should reject drain() when the jobs in progress don\'t finish in time', done => {
+		const q = new Queue(':memory:') ;
+		q.on('next', () => {
+			q.drain({ timeout: 20 })
+			.should.be.rejectedWith(/1 jobs in progress/)
+			.then(() => q.close())
+			.then(() => done())
+			.catch(err => done(err)) ;
+		}) ;
+		q.open()
+		.then(() => q.add('1'))
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should resolve drain() straight away when nothing is in progress', () => {
+		const q = new Queue(':memory:') ;
+		return q.open()
+		.then(() => q.drain())
+		.then(() => q.close()) ;
+	}) ;
+
+	it('should let the jobs in progress finish when closing with wait', done => {
+		const q = new Queue(':memory:') ;
+		q.on('next', task => {
+			let finished ;
+			q.close({ wait: true })
+			.then(() => finished.should.be.fulfilled())
+			.then(() => done())
+			.catch(err => done(err)) ;
+			setTimeout(() => {
+				finished = q.done(task.id) ;
+			}, 50) ;
+		}) ;
+		q.open()
+		.then(() => q.add('1'))
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should close anyway once the wait times out, leaving the job to stall', done => {
+		let tmpdb = os.tmpdir() + path.sep + process.pid + '-drain.sqlite' ;
+		let first = new Queue(tmpdb) ;
+		let second = new Queue(tmpdb) ;
+		const stalled = sinon.spy() ;
+		second.on('stalled', stalled) ;
+		first.on('next', () => {
+			first.close({ wait: true, timeout: 20 })
+			.then(() => second.open())
+			.then(() => {
+				stalled.should.be.calledOnce() ;
+				stalled.args[0][0].should.match({ id: 1, job: '1' }) ;
+				return second.close() ;
+			})
+			.then(() => {
+				fs.unlinkSync(tmpdb) ;
+				done() ;
+			})
+			.catch(err => done(err)) ;
+		}) ;
+		first.open()
+		.then(() => first.add('1'))
+		.then(() => first.start()) ;
+	}) ;
+}) ;
+
+describe('Rate limiting', () => {
+	it('should reject an invalid rateLimit option', () => {
+		(() => new Queue(':memory:', { rateLimit: { max: 0, interval: 1000 } })).should.throw(/Invalid rateLimit option/) ;
+		(() => new Queue(':memory:', { rateLimit: { max: 1 } })).should.throw(/Invalid rateLimit option/) ;
+		(() => new Queue(':memory:', { rateLimit: { max: 1, interval: 1000, key: 'type' } })).should.throw(/Invalid rateLimit option/) ;
+	}) ;
+
+	it('should start no more than max jobs each interval', done => {
+		const q = new Queue(':memory:', { rateLimit: { max: 2, interval: 300 } }) ;
+		let started = [] ;
+		let begin ;
+		q.process(() => {
+			started.push(Date.now() - begin) ;
+			return Promise.resolve() ;
+		}) ;
+		q.on('empty', () => {
+			started.should.have.length(4) ;
+			// A burst of max, then one every interval / max
+			started[1].should.be.below(100) ;
+			started[2].should.be.aboveOrEqual(140) ;
+			started[3].should.be.aboveOrEqual(290) ;
+			q.close()
+			.then(() => done())
+			.catch(err => done(err)) ;
+		}) ;
+		q.open()
+		.then(() => q.addMany(['1', '2', '3', '4']))
+		.then(() => {
+			begin = Date.now() ;
+			q.start() ;
+		}) ;
+	}) ;
+
+	it('should limit jobs with different keys separately', done => {
+		const q = new Queue(':memory:', { rateLimit: { max: 1, interval: 10000, key: task => task.job.type } }) ;
+		let started = [] ;
+		q.process(task => {
+			started.push(task.job.type + task.job.n) ;
+			return Promise.resolve() ;
+		}) ;
+		q.open()
+		.then(() => q.addMany([{ type: 'a', n: 1 }, { type: 'a', n: 2 }, { type: 'b', n: 1 }]))
+		.then(() => q.start())
+		.then(() => new Promise(resolve => setTimeout(resolve, 200)))
+		.then(() => {
+			started.should.eql(['a1', 'b1']) ;
+			q.getLength().should.equal(1) ;
+			return q.close() ;
+		})
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	it('should keep the limit when the queue is reopened', () => {
+		let tmpdb = os.tmpdir() + path.sep + process.pid + '-limit.sqlite' ;
+		const rateLimit = { max: 2, interval: 10000 } ;
+		let first = new Queue(tmpdb, { rateLimit: rateLimit }) ;
+		let second = new Queue(tmpdb, { rateLimit: rateLimit }) ;
+		const next = sinon.spy() ;
+		second.on('next', next) ;
+
+		return first.open()
+		.then(() => first.addMany(['1', '2', '3']))
+		.then(() => new Promise(resolve => {
+			let count = 0 ;
+			first.process(() => {
+				if(++count === 2)
+					setImmediate(resolve) ;
+				return Promise.resolve() ;
+			}) ;
+			first.start() ;
+		}))
+		.then(() => first.close())
+		.then(() => second.open())
+		.then(() => {
+			second.start() ;
+			return new Promise(resolve => setTimeout(resolve, 200)) ;
+		})
+		.then(() => {
+			// The tokens used before closing have not been earned back yet
+			next.should.not.be.called() ;
+			second.getLength().should.equal(1) ;
+			return second.close() ;
+		})
+		.then(() => {
+			fs.unlinkSync(tmpdb) ;
+		}) ;
+	}) ;
+}) ;
+
+describe('Job timeouts', () => {
+	let q ;
+
+	afterEach(done => {
+		q.close()
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	it('should reject an invalid timeout option', () => {
+		(() => new Queue(':memory:', { timeout: 0 })).should.throw(/Invalid timeout option/) ;
+		q = new Queue(':memory:') ;
+		return q.open()
+		.then(() => q.add('1', { timeout: 'soon' }).should.be.rejectedWith(/Invalid timeout option/))
+		.then(() => q.addMany(['1'], { timeout: -1 }).should.be.rejectedWith(/Invalid timeout option/)) ;
+	}) ;
+
+	it('should fail a job that isn\'t done in time, and move on to the next', done => {
+		q = new Queue(':memory:', { timeout: 50, maxRetries: 0 }) ;
+		const timedOut = sinon.spy() ;
+		const dead = sinon.spy() ;
+		q.on('timeout', timedOut) ;
+		q.on('dead', dead) ;
+		q.on('next', task => {
+			// Never finish the first job
+			if(task.job === '2') {
+				timedOut.should.be.calledOnce() ;
+				timedOut.args[0][0].should.match({ id: 1, job: '1', timeout: 50 }) ;
+				timedOut.args[0][0].duration.should.be.aboveOrEqual(45) ;
+				dead.should.be.calledOnce() ;
+				dead.args[0][0].errors[0].error.should.equal('Job timed out after 50ms') ;
+				q.done(task.id)
+				.then(() => done())
+				.catch(err => done(err)) ;
+			}
+		}) ;
+		q.open()
+		.then(() => q.addMany(['1', '2']))
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should use a job\'s own timeout in place of the queue\'s', done => {
+		q = new Queue(':memory:', { timeout: 60000 }) ;
+		q.on('timeout', event => {
+			event.should.match({ id: 1, timeout: 30 }) ;
+			q.stop() ;
+			done() ;
+		}) ;
+		q.open()
+		.then(() => q.add('1', { timeout: 30 }))
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should not time out a job that is done in time', done => {
+		q = new Queue(':memory:', { timeout: 50 }) ;
+		const timedOut = sinon.spy() ;
+		q.on('timeout', timedOut) ;
+		q.process(() => Promise.resolve()) ;
+		q.on('empty', () => {
+			setTimeout(() => {
+				timedOut.should.not.be.called() ;
+				q.timeouts.size.should.equal(0) ;
+				done() ;
+			}, 100) ;
+		}) ;
+		q.open()
+		.then(() => q.addMany(['1', '2']))
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should not let an attempt that timed out finish the next one', done => {
+		q = new Queue(':memory:', { timeout: 50, backoff: { delay: 0 } }) ;
+		const completed = sinon.spy() ;
+		q.on('completed', completed) ;
+		let attempts = [] ;
+		q.on('next', task => {
+			attempts.push(task) ;
+			if(attempts.length !== 2)
+				return ;
+			// The first attempt finishes late, while the second is in progress
+			attempts[0].done()
+			.should.be.rejectedWith(/no longer in progress/)
+			.then(() => {
+				completed.should.not.be.called() ;
+				return task.done() ;
+			})
+			.then(() => {
+				completed.should.be.calledOnce() ;
+				return attempts[0].fail(new Error('late')).should.be.rejectedWith(/no longer in progress/) ;
+			})
+			.then(() => done())
+			.catch(err => done(err)) ;
+		}) ;
+		q.open()
+		.then(() => q.add('1'))
+		.then(() => q.start()) ;
+	}) ;
+}) ;
+
+describe('Statistics and metrics', () => {
+	let q ;
+
+	afterEach(done => {
+		q.close()
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	it('should count the jobs waiting, in progress and finished', done => {
+		q = new Queue(':memory:', { maxRetries: 0 }) ;
+		q.on('next', task => {
+			if(task.job === 'fail') {
+				q.fail(task.id, 'broken') ;
+			}
+			else if(task.job === 'done') {
+				setTimeout(() => q.done(task.id), 20) ;
+			}
+			else {
+				q.getStats()
+				.then(stats => {
+					stats.should.match({ pending: 1, inFlight: 1, completed: 1, failed: 1, dead: 1 }) ;
+					stats.throughput.should.be.above(0) ;
+					stats.averageWait.should.be.aboveOrEqual(0) ;
+					// Averaged with the failure, which took no time
+					stats.averageProcessing.should.be.aboveOrEqual(7) ;
+					stats.oldestPendingAge.should.be.aboveOrEqual(0) ;
+					q.stop() ;
+					done() ;
+				})
+				.catch(err => done(err)) ;
+			}
+		}) ;
+		q.open()
+		.then(() => q.addMany(['done', 'fail', 'stats', 'waiting']))
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should leave the averages and age unknown for an empty queue', () => {
+		q = new Queue(':memory:') ;
+		return q.open()
+		.then(() => q.getStats())
+		.then(stats => {
+			stats.should.match({ pending: 0, inFlight: 0, completed: 0, failed: 0, dead: 0, throughput: 0 }) ;
+			(stats.averageWait === null).should.be.true() ;
+			(stats.averageProcessing === null).should.be.true() ;
+			(stats.oldestPendingAge === null).should.be.true() ;
+		}) ;
+	}) ;
+
+	it('should render the stats in the Prometheus text format', () => {
+		q = new Queue(':memory:', { name: 'emails' }) ;
+		return q.open()
+		.then(() => q.addMany(['1', '2']))
+		.then(() => q.getMetrics())
+		.then(text => {
+			text.should.containEql('# TYPE persistent_queue_pending gauge\npersistent_queue_pending{queue="emails"} 2\n') ;
+			text.should.containEql('# TYPE persistent_queue_completed_total counter\npersistent_queue_completed_total{queue="emails"} 0\n') ;
+			text.should.match(/persistent_queue_oldest_pending_age_seconds\{queue="emails"\} [0-9.]+\n/) ;
+			// Nothing has been processed to average yet
+			text.should.containEql('# TYPE persistent_queue_processing_seconds_average gauge\n#') ;
+			text.should.not.containEql('persistent_queue_processing_seconds_average{') ;
+		}) ;
+	}) ;
+}) ;
+
+describe('Async iteration', () => {
+	let q ;
+
+	afterEach(done => {
+		q.close()
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	/**
+	 * Loop over the queue as for await...of would, calling body with each job
+	 * @param {PersistentQueue} q
+	 * @param {function(PersistentQueue~Job): (Promise|boolean)} body Resolves false to break out of the loop
+	 * @return {Promise}
+	 */
+	const forAwait = (q, body) => {
+		const iterator = q[Symbol.asyncIterator]() ;
+		const loop = () => iterator.next()
+		.then(result => {
+			if(result.done)
+				return ;
+			return Promise.resolve()
+			.then(() => body(result.value))
+			.then(carryOn => (carryOn === false) ? iterator.return() : loop(), err => iterator.return().then(() => {
+				throw err ;
+			})) ;
+		}) ;
+		return loop() ;
+	} ;
+
+	it('should yield jobs in order, and finish each once the loop body has', () => {
+		q = new Queue(':memory:') ;
+		let seen = [] ;
+		return q.open()
+		.then(() => q.addMany(['1', '2', '3']))
+		.then(() => forAwait(q, task => {
+			seen.push(task.job) ;
+			q.active.has(task.id).should.be.true() ;
+			return seen.length < 3 || q.done(task.id).then(() => false) ;
+		}))
+		.then(() => {
+			seen.should.eql(['1', '2', '3']) ;
+			q.getLength().should.equal(0) ;
+		}) ;
+	}) ;
+
+	it('should leave the job at the head of the queue when breaking out of the loop', () => {
+		q = new Queue(':memory:', { concurrency: 2 }) ;
+		let seen = [] ;
+		return q.open()
+		.then(() => q.addMany(['1', '2', '3']))
+		.then(() => forAwait(q, task => {
+			seen.push(task.job) ;
+			return seen.length < 2 ;
+		}))
+		.then(() => {
+			seen.should.eql(['1', '2']) ;
+			q.isStarted().should.be.false() ;
+			q.active.size.should.equal(0) ;
+			q.getLength().should.equal(2) ;
+			q.queue.map(job => job.job).should.eql(['2', '3']) ;
+		}) ;
+	}) ;
+
+	it('should abort the job when the loop body throws', () => {
+		q = new Queue(':memory:') ;
+		return q.open()
+		.then(() => q.add('1'))
+		.then(() => forAwait(q, () => {
+			throw new Error('oops') ;
+		}).should.be.rejectedWith('oops'))
+		.then(() => {
+			q.getLength().should.equal(1) ;
+			q.queue[0].job.should.equal('1') ;
+		}) ;
+	}) ;
+
+	it('should end the loop when the queue is stopped', () => {
+		q = new Queue(':memory:') ;
+		let seen = [] ;
+		return q.open()
+		.then(() => q.addMany(['1', '2']))
+		.then(() => forAwait(q, task => {
+			seen.push(task.job) ;
+			return q.fail(task.id, 'later').then(() => q.stop()) ;
+		}))
+		.then(() => {
+			seen.should.eql(['1']) ;
+			q.active.size.should.equal(0) ;
+		}) ;
+	}) ;
+
+	it('should not iterate a queue with the nextBatch option', () => {
+		q = new Queue(':memory:', { nextBatch: 2 }) ;
+		(() => q[Symbol.asyncIterator]()).should.throw(/nextBatch/) ;
+		return q.open() ;
+	}) ;
+}) ;
+
+describe('Streams', () => {
+	const stream = require('stream') ;
+	let q ;
+
+	afterEach(done => {
+		q.close()
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	it('should add each object written to a write stream', done => {
+		q = new Queue(':memory:') ;
+		q.open()
+		.then(() => {
+			stream.pipeline(stream.Readable.from(['1', '2', '3']), q.createWriteStream({ priority: 2 }), err => {
+				if(err)
+					return done(err) ;
+				q.getLength().should.equal(3) ;
+				q.db.all(`SELECT job, priority FROM ${q.table} ORDER BY id`, (err, rows) => {
+					if(err)
+						return done(err) ;
+					rows.should.eql([{ job: '"1"', priority: 2 }, { job: '"2"', priority: 2 }, { job: '"3"', priority: 2 }]) ;
+					done() ;
+				}) ;
+			}) ;
+		}) ;
+	}) ;
+
+	it('should fail the write stream when a job can\'t be added', done => {
+		q = new Queue(':memory:') ;
+		q.open()
+		.then(() => {
+			stream.pipeline(stream.Readable.from(['1']), q.createWriteStream({ priority: 1.5 }), err => {
+				err.should.be.an.Error() ;
+				err.message.should.match(/Invalid priority option/) ;
+				done() ;
+			}) ;
+		}) ;
+	}) ;
+
+	it('should not create a write stream with a deduplication key', () => {
+		q = new Queue(':memory:') ;
+		(() => q.createWriteStream({ key: 'k' })).should.throw(/Deduplication keys/) ;
+		return q.open() ;
+	}) ;
+
+	it('should read jobs in order, leaving each to be finished downstream', done => {
+		q = new Queue(':memory:') ;
+		let seen = [] ;
+		q.on('empty', () => q.stop()) ;
+		q.open()
+		.then(() => q.addMany(['1', '2', '3']))
+		.then(() => {
+			const readable = q.createReadStream() ;
+			readable.on('data', task => {
+				seen.push(task.job) ;
+				task.done() ;
+			}) ;
+			readable.on('end', () => {
+				seen.should.eql(['1', '2', '3']) ;
+				q.getLength().should.equal(0) ;
+				done() ;
+			}) ;
+		}) ;
+	}) ;
+
+	it('should not finish jobs, or read more, before downstream has finished with them', done => {
+		q = new Queue(':memory:') ;
+		const completed = sinon.spy() ;
+		q.on('completed', completed) ;
+		q.on('empty', () => q.stop()) ;
+		let written = 0 ;
+		const slow = new stream.Writable({
+			objectMode: true,
+			write: (task, encoding, callback) => {
+				completed.callCount.should.equal(written) ;
+				q.active.size.should.equal(1) ;
+				setTimeout(() => {
+					written++ ;
+					task.done().then(() => callback(), callback) ;
+				}, 50) ;
+			}
+		}) ;
+		q.open()
+		.then(() => q.addMany(['1', '2', '3', '4', '5']))
+		.then(() => {
+			stream.pipeline(q.createReadStream(), slow, err => {
+				if(err)
+					return done(err) ;
+				written.should.equal(5) ;
+				completed.callCount.should.equal(5) ;
+				done() ;
+			}) ;
+		}) ;
+	}) ;
+
+	it('should leave the jobs read but not finished at the head of the queue when the stream is destroyed', done => {
+		q = new Queue(':memory:') ;
+		q.open()
+		.then(() => q.addMany(['1', '2', '3']))
+		.then(() => {
+			const readable = q.createReadStream() ;
+			readable.once('data', task => {
+				task.job.should.equal('1') ;
+				readable.destroy() ;
+			}) ;
+			readable.on('close', () => {
+				q.isStarted().should.be.false() ;
+				q.active.size.should.equal(0) ;
+				q.getLength().should.equal(3) ;
+				q.queue[0].job.should.equal('1') ;
+				done() ;
+			}) ;
+		}) ;
+	}) ;
+}) ;
+
+describe('Bounded queues', () => {
+	let q ;
+
+	afterEach(done => {
+		if(!q.isOpen())
+			return done() ;
+		q.close()
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	it('should reject invalid maxLength and overflow options', () => {
+		q = new Queue(':memory:') ;
+		(() => new Queue(':memory:', { maxLength: 0 })).should.throw(/Invalid maxLength option/) ;
+		(() => new Queue(':memory:', { maxLength: 10, overflow: 'block' })).should.throw(/Invalid overflow option/) ;
+	}) ;
+
+	it('should reject adding to a full queue, and emit full', () => {
+		q = new Queue(':memory:', { maxLength: 2 }) ;
+		const full = sinon.spy() ;
+		q.on('full', full) ;
+		return q.open()
+		.then(() => q.add('1'))
+		.then(() => {
+			full.should.not.be.called() ;
+			return q.add('2') ;
+		})
+		.then(() => {
+			full.should.be.calledOnce() ;
+			full.args[0][0].should.eql({ length: 2, maxLength: 2 }) ;
+			return q.add('3').should.be.rejectedWith(/Queue is full/) ;
+		})
+		.then(() => q.addMany(['3', '4', '5']).should.be.rejectedWith(/Can't add 3 jobs/))
+		.then(() => {
+			q.getLength().should.equal(2) ;
+			full.should.be.calledOnce() ;
+		}) ;
+	}) ;
+
+	it('should wait for room, and emit drained', done => {
+		q = new Queue(':memory:', { maxLength: 1, overflow: 'wait' }) ;
+		const drained = sinon.spy() ;
+		let added = false ;
+		q.on('drained', drained) ;
+		q.on('next', task => {
+			if(task.job === '1') {
+				added.should.be.false() ;
+				q.done(task.id) ;
+				return ;
+			}
+			added.should.be.true() ;
+			drained.should.be.calledOnce() ;
+			q.done(task.id)
+			.then(() => done())
+			.catch(err => done(err)) ;
+		}) ;
+		q.open()
+		.then(() => q.add('1'))
+		.then(() => {
+			q.add('2')
+			.then(() => {
+				added = true ;
+				q.getLength().should.equal(1) ;
+			})
+			.catch(err => done(err)) ;
+			q.start() ;
+		}) ;
+	}) ;
+
+	it('should drop the oldest waiting jobs to make room', () => {
+		q = new Queue(':memory:', { maxLength: 3, overflow: 'dropOldest' }) ;
+		const deleteMany = sinon.spy() ;
+		const full = sinon.spy() ;
+		const drained = sinon.spy() ;
+		q.on('deleteMany', deleteMany) ;
+		q.on('full', full) ;
+		q.on('drained', drained) ;
+		return q.open()
+		.then(() => q.addMany(['1', '2', '3']))
+		.then(() => Promise.all([q.add('4'), q.addMany(['5', '6'])]))
+		.then(() => {
+			q.getLength().should.equal(3) ;
+			// Still full throughout, as the jobs dropped only made room for those added
+			full.should.be.calledOnce() ;
+			drained.should.not.be.called() ;
+			deleteMany.should.be.calledTwice() ;
+			deleteMany.args[0][0].ids.should.eql([1]) ;
+			deleteMany.args[1][0].ids.should.eql([2, 3]) ;
+			return q.getFirstJobId('4') ;
+		})
+		.then(id => {
+			id.should.equal(4) ;
+		}) ;
+	}) ;
+
+	it('should have room once a job is deleted', () => {
+		q = new Queue(':memory:', { maxLength: 1 }) ;
+		const drained = sinon.spy() ;
+		q.on('drained', drained) ;
+		return q.open()
+		.then(() => q.add('1'))
+		.then(id => q.delete(id))
+		.then(() => {
+			drained.should.be.calledOnce() ;
+			return q.add('2') ;
+		}) ;
+	}) ;
+
+	it('should reject requeuing a dead job into a full queue', done => {
+		q = new Queue(':memory:', { maxLength: 1, maxRetries: 0 }) ;
+		q.on('next', task => {
+			q.fail(task.id) ;
+		}) ;
+		q.on('dead', dead => {
+			q.stop() ;
+			q.add('2')
+			.then(() => q.requeueDeadJob(dead.id).should.be.rejectedWith(/Queue is full/))
+			.then(() => {
+				q.getLength().should.equal(1) ;
+				return q.getDeadJobs() ;
+			})
+			.then(jobs => {
+				jobs.map(job => job.id).should.eql([dead.id]) ;
+				done() ;
+			})
+			.catch(err => done(err)) ;
+		}) ;
+		q.open()
+		.then(() => q.add('1'))
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should reject adds waiting for room when the queue is closed', () => {
+		q = new Queue(':memory:', { maxLength: 1, overflow: 'wait' }) ;
+		let waiting ;
+		return q.open()
+		.then(() => q.add('1'))
+		.then(() => {
+			waiting = q.add('2') ;
+			return q.close() ;
+		})
+		.then(() => waiting.should.be.rejectedWith(/Queue closed/)) ;
+	}) ;
+}) ;
+
+describe('Job expiry', () => {
+	let q ;
+
+	afterEach(done => {
+		q.close()
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	it('should reject invalid ttl and expireAt options', () => {
+		q = new Queue(':memory:') ;
+		return q.open()
+		.then(() => q.add('1', { ttl: '1h' }).should.be.rejectedWith(/Invalid ttl or expireAt option/))
+		.then(() => q.addMany(['1'], { expireAt: 'tomorrow' }).should.be.rejectedWith(/Invalid ttl or expireAt option/)) ;
+	}) ;
+
+	it('should delete jobs that expired in the db instead of running them', done => {
+		q = new Queue(':memory:') ;
+		const expired = sinon.spy() ;
+		let jobs = [] ;
+		q.on('expired', expired) ;
+		q.process(task => {
+			jobs.push(task.job) ;
+			return Promise.resolve() ;
+		}) ;
+		q.on('empty', () => {
+			jobs.should.eql(['2', '4']) ;
+			expired.should.be.calledTwice() ;
+			expired.args[0][0].should.match({ id: 1, job: '1' }) ;
+			expired.args[0][0].expiredAt.should.be.aboveOrEqual(expired.args[0][0].expireAt) ;
+			expired.args[1][0].should.match({ id: 3, job: '3' }) ;
+			q.getLength().should.equal(0) ;
+			done() ;
+		}) ;
+		q.open()
+		.then(() => q.add('1', { expireAt: new Date(Date.now() - 1000) }))
+		.then(() => q.add('2', { ttl: 60000 }))
+		.then(() => q.addMany(['3'], { expireAt: Date.now() - 1 }))
+		.then(() => q.add('4'))
+		.then(() => q.start()) ;
+	}) ;
+
+	it('should delete jobs that expire while waiting in memory', done => {
+		q = new Queue(':memory:') ;
+		const expired = sinon.spy() ;
+		let jobs = [] ;
+		q.on('expired', expired) ;
+		q.process(task => {
+			jobs.push(task.job) ;
+			// Outlive the second job's ttl
+			return new Promise(resolve => setTimeout(resolve, 60)) ;
+		}) ;
+		q.on('empty', () => {
+			jobs.should.eql(['1', '3']) ;
+			expired.should.be.calledOnce() ;
+			expired.args[0][0].should.match({ id: 2, job: '2' }) ;
+			done() ;
+		}) ;
+		q.open()
+		.then(() => q.add('1'))
+		.then(() => q.add('2', { ttl: 30 }))
+		.then(() => q.add('3'))
+		.then(() => q.start()) ;
+	}) ;
+}) ;
+
+describe('Listing jobs', () => {
+	let q ;
+
+	afterEach(done => {
+		q.close()
+		.then(() => done())
+		.catch(err => done(err)) ;
+	}) ;
+
+	it('should list the jobs in the order they run, a page at a time', () => {
+		q = new Queue(':memory:') ;
+		return q.open()
+		.then(() => q.addMany(['1', '2', '3']))
+		.then(() => q.add('urgent', { priority: 1 }))
+		.then(() => q.getJobs())
+		.then(jobs => {
+			jobs.map(job => job.job).should.eql(['urgent', '1', '2', '3']) ;
+			jobs[0].should.match({ id: 4, priority: 1, attempts: 0 }) ;
+			return q.getJobs({ limit: 2, offset: 1 }) ;
+		})
+		.then(jobs => {
+			jobs.map(job => job.id).should.eql([1, 2]) ;
+		}) ;
+	}) ;
+
+	it('should get a job by id, or null', () => {
+		q = new Queue(':memory:') ;
+		return q.open()
+		.then(() => q.add({ to: 'someone' }))
+		.then(id => q.getJob(id))
+		.then(job => {
+			job.should.match({ id: 1, job: { to: 'someone' } }) ;
+			return q.getJob(2) ;
+		})
+		.then(job => {
+			(job === null).should.be.true() ;
+		}) ;
+	}) ;
+}) ;
+
+describe('Command-line tool', () => {
+	const execFile = require('child_process').execFile ;
+	const bin = path.join(__dirname, '..', 'bin', 'persistent-queue') ;
+	let tmpdb = os.tmpdir() + path.sep + process.pid + '-cli.sqlite' ;
+	let exported = os.tmpdir() + path.sep + process.pid + '-cli.jsonl' ;
+
+	/**
+	 * Run the command-line tool against the test db
+	 * @param {string[]} args Arguments after the db
+	 * @return {Promise<{code: number, stdout: string, stderr: string}>}
+	 */
+	const cli = args => new Promise(resolve => {
+		execFile(process.execPath, [bin, tmpdb].concat(args), (err, stdout, stderr) => {
+			resolve({ code: err ? err.code : 0, stdout: stdout, stderr: stderr }) ;
+		}) ;
+	}) ;
+
+	beforeEach(() => {
+		const q = new Queue(tmpdb) ;
+		return q.open()
+		.then(() => q.addMany([{ n: 1 }, { n: 2 }, { n: 3 }]))
+		.then(() => q.close()) ;
+	}) ;
+
+	afterEach(() => {
+		[tmpdb, exported].filter(file => fs.existsSync(file)).forEach(file => fs.unlinkSync(file)) ;
+	}) ;
+
+	it('should show the length, stats and jobs', () => {
+		return cli(['length'])
+		.then(result => {
+			result.should.match({ code: 0, stdout: '3\n' }) ;
+			return cli(['stats']) ;
+		})
+		.then(result => {
+			const stats = JSON.parse(result.stdout) ;
+			stats.should.match({ length: 3, pending: 3, dead: 0 }) ;
+			// Counted since the tool opened the queue, so always 0
+			stats.should.not.have.any.properties('inFlight', 'completed', 'failed', 'throughput') ;
+			return cli(['list', '--limit', '2', '--offset', '1']) ;
+		})
+		.then(result => {
+			result.stdout.trim().split('\n').map(line => JSON.parse(line).job).should.eql([{ n: 2 }, { n: 3 }]) ;
+			return cli(['show', '2']) ;
+		})
+		.then(result => {
+			JSON.parse(result.stdout).should.match({ id: 2, job: { n: 2 } }) ;
+			return cli(['show', '9']) ;
+		})
+		.then(result => {
+			result.code.should.equal(1) ;
+			result.stderr.should.containEql('No job with id 9') ;
+		}) ;
+	}) ;
+
+	it('should add, delete and purge jobs', () => {
+		return cli(['add', '{"n":4}', '--priority', '2'])
+		.then(result => {
+			result.stdout.should.equal('4\n') ;
+			return cli(['peek']) ;
+		})
+		.then(result => {
+			JSON.parse(result.stdout).should.match({ id: 4, job: { n: 4 }, priority: 2 }) ;
+			return cli(['delete', '1', '4']) ;
+		})
+		.then(result => {
+			result.should.match({ code: 0, stdout: 'Deleted 2 jobs\n' }) ;
+			return cli(['purge']) ;
+		})
+		.then(result => {
+			result.stdout.should.equal('Deleted 2 jobs\n') ;
+			return cli(['length']) ;
+		})
+		.then(result => {
+			result.stdout.should.equal('0\n') ;
+		}) ;
+	}) ;
+
+	it('should export jobs and import them again', () => {
+		return cli(['export', exported])
+		.then(() => cli(['purge']))
+		.then(() => cli(['import', exported]))
+		.then(result => {
+			result.stdout.should.equal('Added 3 jobs\n') ;
+			return cli(['list']) ;
+		})
+		.then(result => {
+			result.stdout.trim().split('\n').map(line => JSON.parse(line)).should.match([
+				{ id: 4, job: { n: 1 } }, { id: 5, job: { n: 2 } }, { id: 6, job: { n: 3 } }
+			]) ;
+		}) ;
+	}) ;
+
+	it('should keep when a job is due, and its failed attempts, through an export and import', () => {
+		const q = new Queue(tmpdb) ;
+		const errors = [{ attempt: 1, error: 'first', at: 1 }, { attempt: 2, error: 'second', at: 2 }] ;
+		let runAt ;
+		return q.open()
+		.then(() => q.add({ n: 4 }, { delay: 86400000, attempts: 2, errors: errors }))
+		.then(id => q.getJob(id))
+		.then(job => {
+			runAt = job.runAt ;
+			runAt.should.be.above(Date.now() + 86000000) ;
+			return q.close() ;
+		})
+		.then(() => cli(['export', exported]))
+		.then(() => cli(['purge']))
+		.then(() => cli(['import', exported]))
+		.then(result => {
+			result.stdout.should.equal('Added 4 jobs\n') ;
+			return cli(['list']) ;
+		})
+		.then(result => {
+			const jobs = result.stdout.trim().split('\n').map(line => JSON.parse(line)) ;
+			jobs.map(job => job.job).should.eql([{ n: 1 }, { n: 2 }, { n: 3 }, { n: 4 }]) ;
+			jobs[0].should.match({ runAt: 0, attempts: 0, errors: [] }) ;
+			jobs[3].should.match({ runAt: runAt, attempts: 2, lastError: 'second', errors: errors }) ;
+		}) ;
+	}) ;
+
+	it('should keep jobs stored with the v8 serializer intact through an export and import', () => {
+		const q = new Queue(tmpdb, { name: 'blobs', serializer: 'v8' }) ;
+		const job = { map: new Map([['a', 1]]), buffer: Buffer.from('abc'), date: new Date(0), big: BigInt(5) } ;
+		return q.open()
+		.then(() => q.add(job))
+		.then(() => q.close())
+		.then(() => cli(['export', exported, '--name', 'blobs', '--serializer', 'v8']))
+		.then(result => {
+			result.code.should.equal(0) ;
+			return cli(['import', exported, '--name', 'blobs']) ;
+		})
+		.then(result => {
+			result.code.should.equal(1) ;
+			result.stderr.should.containEql('--serializer v8') ;
+			return cli(['purge', '--name', 'blobs', '--serializer', 'v8']) ;
+		})
+		.then(() => cli(['import', exported, '--name', 'blobs', '--serializer', 'v8']))
+		.then(result => {
+			result.stdout.should.equal('Added 1 jobs\n') ;
+			return q.open() ;
+		})
+		.then(() => q.getJobs())
+		.then(jobs => {
+			jobs.should.have.length(1) ;
+			jobs[0].id.should.equal(2) ;
+			jobs[0].job.should.eql(job) ;
+			jobs[0].job.map.should.be.an.instanceOf(Map) ;
+			Buffer.isBuffer(jobs[0].job.buffer).should.be.true() ;
+			jobs[0].job.date.should.be.an.instanceOf(Date) ;
+			return q.close() ;
+		}) ;
+	}) ;
+
+	it('should refuse a db or queue that doesn\'t exist', () => {
+		return cli(['length', '--name', 'other'])
+		.then(result => {
+			result.code.should.equal(1) ;
+			result.stderr.should.containEql('No queue named other') ;
+			return new Promise(resolve => {
+				execFile(process.execPath, [bin, tmpdb + '.missing', 'length'], (err, stdout, stderr) => resolve(stderr)) ;
+			}) ;
+		})
+		.then(stderr => {
+			stderr.should.containEql('No such file') ;
+			fs.existsSync(tmpdb + '.missing').should.be.false() ;
+		}) ;
+	}) ;
+}) ;